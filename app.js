@@ -0,0 +1,4737 @@
+import express from "express";
+import cors from "cors";
+import multer from "multer";
+import mongoose from 'mongoose';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { EventEmitter } from 'events';
+import { v2 as cloudinary } from 'cloudinary';
+import { CloudinaryStorage } from 'multer-storage-cloudinary';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import rateLimit from 'express-rate-limit';
+import { z } from 'zod';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// Validated in config.js, which also documents each setting
+const {
+  MONGODB_URI,
+  PORT,
+  STORAGE_DRIVER,
+  TRASH_RETENTION_DAYS,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  RATE_LIMIT_WINDOW_MINUTES,
+  RATE_LIMIT_READ,
+  RATE_LIMIT_WRITE,
+  RATE_LIMIT_UPLOAD,
+  RATE_LIMIT_LOGIN,
+  INQUIRY_RATE_LIMIT,
+  JSON_BODY_LIMIT,
+  IMPORT_BODY_LIMIT,
+  CACHE_DRIVER,
+  CACHE_TTL_SECONDS,
+  CACHE_MAX_ENTRIES,
+  ASSET_GRACE_MINUTES,
+  ASSET_GC_INTERVAL_HOURS,
+  JWT_SECRET,
+  JWT_EXPIRES_IN,
+  CORS_ORIGINS,
+} = config;
+
+// Higher level includes every permission of the lower ones
+const ADMIN_ROLES = ['editor', 'owner'];
+const ROLE_LEVELS = { editor: 1, owner: 2 };
+
+const PRODUCT_STATUSES = ['available', 'restoring', 'on_the_way', 'out_of_stock', 'discontinued'];
+
+// --- SCHEMAS ---
+
+// Per-locale overrides keyed by locale code, e.g. translations.en.name.
+// The plain fields hold the DEFAULT_LOCALE text and are the fallback.
+const productTranslationSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  description: { type: String },
+}, { _id: false });
+
+// One sellable version of a product, e.g. { color: 'white', gang: '2' }.
+// The product keeps the shared name, description and photos.
+const productVariantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  attributes: { type: Map, of: String, default: {} },
+  price: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: PRODUCT_STATUSES, default: 'available' },
+  image: { type: String, required: false },
+  imagePublicId: { type: String, required: false },
+});
+
+// Replaces the regular price while it runs; a missing start or end leaves that side open
+const productSaleSchema = new mongoose.Schema({
+  price: { type: Number, required: true, min: 0 },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+}, { _id: false });
+
+const siteConfigTranslationSchema = new mongoose.Schema({
+  landingTitle: { type: String },
+  landingDescription: { type: String },
+  aboutText: { type: String },
+  servicesText: { type: String },
+}, { _id: false });
+
+const productSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  // Applies to `price` only, variants are discounted through promotions
+  sale: { type: productSaleSchema, default: null },
+  numeration: { type: Number, required: false, min: 0 }, // storefront display order, unique, see NUMERATION
+  mainImage: { type: String, required: true },
+  mainImagePublicId: { type: String, required: true },
+  otherPhotos: [{ type: String }],
+  otherPhotosPublicIds: [{ type: String }],
+  description: { type: String, required: false },
+  translations: { type: Map, of: productTranslationSchema, default: {} },
+  classifications: { type: String, required: false, trim: true }, // legacy free text, see /categories/migrate-classifications
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  status: {
+    type: String,
+    enum: PRODUCT_STATUSES,
+    default: 'available',
+    required: false
+  },
+  statusNote: { type: String, trim: true, required: false },
+  expectedArrival: { type: Date, required: false },
+  // Units on hand, only changed through stock movements. Unset = not tracked.
+  stock: { type: Number, min: 0, required: false },
+  variants: [productVariantSchema],
+  // Derived on every save from price/status, or from the variants when there are any
+  priceRange: {
+    min: { type: Number },
+    max: { type: Number },
+  },
+  availability: { type: String, enum: PRODUCT_STATUSES },
+  uploadDate: { type: Date, default: Date.now },
+  // Set when the product is moved to the trash, see TRASH_RETENTION_DAYS
+  deletedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+productSchema.index({ deletedAt: 1 });
+productSchema.index({ categories: 1 });
+
+// Products without a numeration are left out, so any number of them can exist.
+// Not a schema index: connecting would build it, and fail on a catalog saved
+// before numerations were unique. ensureNumerationIndex builds it instead.
+const NUMERATION_INDEX = [
+  { numeration: 1 },
+  { unique: true, partialFilterExpression: { numeration: { $type: 'number' } }, name: 'product_numeration_unique' },
+];
+
+// SKUs are unique across the catalog, trashed products included.
+// Mongo does not enforce this within one product; the variant routes check that.
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } }, name: 'product_variant_sku_unique' }
+);
+
+// Backs ?q= on GET /products
+productSchema.index(
+  { name: 'text', description: 'text', classifications: 'text' },
+  { weights: { name: 10, classifications: 5, description: 1 }, name: 'product_text_search' }
+);
+
+// A product is as available as its most available variant
+const AVAILABILITY_ORDER = ['available', 'on_the_way', 'restoring', 'out_of_stock', 'discontinued'];
+
+const applyVariantSummary = (product) => {
+  const variants = product.variants || [];
+  if (variants.length === 0) {
+    product.priceRange = { min: product.price, max: product.price };
+    product.availability = product.status || 'available';
+    return;
+  }
+
+  const prices = variants.map(v => v.price);
+  product.priceRange = { min: Math.min(...prices), max: Math.max(...prices) };
+  // Discontinuing the product discontinues every variant with it
+  product.availability = product.status === 'discontinued'
+    ? 'discontinued'
+    : AVAILABILITY_ORDER.find(status => variants.some(v => v.status === status));
+};
+
+productSchema.pre('save', function () {
+  applyVariantSummary(this);
+});
+
+// Uses 'siteconfigs' collection — completely separate from old 'sitesettings'
+// Everything the public site shows; exists once live and once as the draft
+const siteContentFields = {
+  landingTitle: { type: String, default: '' },
+  landingDescription: { type: String, default: '' },
+  aboutText: { type: String, default: '' },
+  servicesText: { type: String, default: '' },
+  translations: { type: Map, of: siteConfigTranslationSchema, default: {} },
+  landingBanner: { type: String, default: '' },
+  landingBannerPublicId: { type: String, default: '' },
+  logo: { type: String, default: '' },
+  logoPublicId: { type: String, default: '' },
+};
+
+const siteConfigDraftSchema = new mongoose.Schema({
+  ...siteContentFields,
+  updatedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const siteConfigSchema = new mongoose.Schema({
+  ...siteContentFields,
+  // Edited by the /settings write routes, copied to the fields above on publish
+  draft: { type: siteConfigDraftSchema, default: null },
+  publishedAt: { type: Date, default: null },
+  scheduledPublishAt: { type: Date, default: null },
+}, { timestamps: true });
+
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+  order: { type: Number, default: 0 },
+  image: { type: String, default: '' },
+  imagePublicId: { type: String, default: '' },
+}, { timestamps: true });
+
+categorySchema.index({ parent: 1, order: 1 });
+
+const AUDIT_ENTITIES = ['product', 'settings'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'publish'];
+
+// One entry per revision of a product or the site config
+const auditEntrySchema = new mongoose.Schema({
+  entity: { type: String, enum: AUDIT_ENTITIES, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  revision: { type: Number, required: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  }],
+  // Full state after this revision, null after a purge
+  snapshot: { type: mongoose.Schema.Types.Mixed, default: null },
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    username: { type: String },
+  },
+  meta: { type: mongoose.Schema.Types.Mixed },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditEntrySchema.index({ entity: 1, entityId: 1, revision: -1 }, { unique: true });
+auditEntrySchema.index({ createdAt: -1 });
+
+const adminSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, default: 'editor' },
+}, { timestamps: true });
+
+adminSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never leak the hash through res.json()
+adminSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+const STOCK_MOVEMENT_TYPES = ['received', 'sold', 'adjusted'];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  type: { type: String, enum: STOCK_MOVEMENT_TYPES, required: true },
+  // Signed change applied to the stock: positive for received, negative for sold
+  quantity: { type: Number, required: true },
+  reason: { type: String, trim: true, default: '' },
+  stockBefore: { type: Number, required: true },
+  stockAfter: { type: Number, required: true },
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    username: { type: String },
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+const PRICE_FIELDS = ['price', 'salePrice'];
+
+// Written with the product's audit entry whenever a regular, sale or variant price changes
+const priceChangeSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // Set for variant prices
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  sku: { type: String },
+  field: { type: String, enum: PRICE_FIELDS, required: true },
+  // null before the first price and after a sale is removed
+  before: { type: Number, default: null },
+  after: { type: Number, default: null },
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    username: { type: String },
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+priceChangeSchema.index({ product: 1, createdAt: -1 });
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+
+// A discount on every product in the categories (and their subcategories) and on the listed products
+const promotionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: PROMOTION_TYPES, required: true },
+  // Percent off for 'percentage', amount off for 'fixed'
+  value: { type: Number, required: true, min: 0 },
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  active: { type: Boolean, default: true },
+  createdBy: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    username: { type: String },
+  },
+}, { timestamps: true });
+
+promotionSchema.index({ active: 1, endsAt: 1 });
+
+const INQUIRY_STATES = ['new', 'contacted', 'quoted', 'closed'];
+
+const inquirySchema = new mongoose.Schema({
+  customerName: { type: String, required: true, trim: true, maxlength: 200 },
+  phone: { type: String, trim: true, default: '' },
+  email: { type: String, trim: true, lowercase: true, default: '' },
+  message: { type: String, trim: true, maxlength: 5000, default: '' },
+  // name and price are copied at submission time so later edits do not change the inquiry
+  items: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    name: { type: String, required: true },
+    numeration: { type: Number },
+    // Set when a specific variant was asked for
+    variant: { type: mongoose.Schema.Types.ObjectId },
+    sku: { type: String },
+    attributes: { type: Map, of: String },
+    // The price paid at submission time; originalUnitPrice is set when a sale or promotion applied
+    unitPrice: { type: Number, required: true, min: 0 },
+    originalUnitPrice: { type: Number, min: 0 },
+    quantity: { type: Number, required: true, min: 1 },
+  }],
+  total: { type: Number, required: true, min: 0 },
+  state: { type: String, enum: INQUIRY_STATES, default: 'new' },
+  notes: [{
+    text: { type: String, required: true, trim: true },
+    author: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+      username: { type: String },
+    },
+    createdAt: { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+
+inquirySchema.index({ state: 1, createdAt: -1 });
+
+// Views of one product on one UTC day, counted by GET /products/:id
+const productViewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  day: { type: Date, required: true },
+  views: { type: Number, default: 0 },
+}, { versionKey: false });
+
+productViewSchema.index({ product: 1, day: 1 }, { unique: true });
+productViewSchema.index({ day: 1 });
+
+// Public change-feed events that can be sent to webhooks, see EVENTS
+const WEBHOOK_EVENT_TYPES = [
+  'product.created', 'product.updated', 'product.status_changed', 'product.arrived', 'product.deleted',
+  'settings.updated',
+];
+
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  events: [{ type: String, enum: WEBHOOK_EVENT_TYPES }],
+  // HMAC key for the X-Webhook-Signature header
+  secret: { type: String, required: true },
+  description: { type: String, trim: true, default: '' },
+  active: { type: Boolean, default: true },
+  createdBy: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    username: { type: String },
+  },
+}, { timestamps: true });
+
+// The secret is only returned once, when the webhook is created
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+const WEBHOOK_DELIVERY_STATES = ['pending', 'succeeded', 'failed'];
+// Delivery log entries are removed after this many days
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+
+// One event sent to one webhook, with every attempt made so far
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  state: { type: String, enum: WEBHOOK_DELIVERY_STATES, default: 'pending' },
+  nextAttemptAt: { type: Date, default: Date.now },
+  attempts: [{
+    _id: false,
+    at: { type: Date, required: true },
+    responseStatus: { type: Number },
+    error: { type: String },
+    durationMs: { type: Number },
+  }],
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ state: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Every file stored through uploadImage, see ASSETS
+const assetSchema = new mongoose.Schema({
+  publicId: { type: String, required: true, unique: true },
+  url: { type: String, default: '' },
+  // Storage driver that holds the file
+  driver: { type: String, required: true },
+  // Set when destroying the file failed; reconcileAssets tries again
+  destroyError: { type: String, default: null },
+  destroyFailedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// --- MODELS ---
+const Product = mongoose.model('Product', productSchema);
+const SiteConfig = mongoose.model('SiteConfig', siteConfigSchema);
+const Category = mongoose.model('Category', categorySchema);
+const Admin = mongoose.model('Admin', adminSchema);
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+const Inquiry = mongoose.model('Inquiry', inquirySchema);
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+const Promotion = mongoose.model('Promotion', promotionSchema);
+const ProductView = mongoose.model('ProductView', productViewSchema);
+const Asset = mongoose.model('Asset', assetSchema);
+const Webhook = mongoose.model('Webhook', webhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// --- EXPRESS ---
+const app = express();
+
+// Needed behind a hosting proxy so rate limits see the client IP, e.g. TRUST_PROXY=1
+if (config.TRUST_PROXY !== undefined) {
+  app.set('trust proxy', config.TRUST_PROXY);
+}
+
+// --- REQUEST LOGGING ---
+// Every request gets an id, taken from X-Request-Id when a proxy already set
+// one, and req.log, which adds it to every line logged for the request.
+// One line per request is logged when the response is done.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Never written to the log, e.g. the stream token of GET /events?access_token=
+const SENSITIVE_QUERY_PARAMS = ['access_token', 'token', 'password', 'secret'];
+const isProbe = (req) => req.path.startsWith('/health/');
+
+const redactUrl = (url) => {
+  const [pathname, query] = url.split(/\?(.*)/s);
+  if (!query) return pathname;
+  const params = new URLSearchParams(query);
+  for (const name of SENSITIVE_QUERY_PARAMS) {
+    if (params.has(name)) params.set(name, '[redacted]');
+  }
+  return `${pathname}?${params}`;
+};
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('close', () => {
+    const fields = {
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      bytes: Number(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      admin: req.admin ? req.admin.username : undefined,
+      // Client went away before the response was sent, e.g. a closed event stream
+      aborted: res.writableFinished ? undefined : true,
+    };
+    if (isProbe(req)) req.log.debug('Request completed', fields);
+    else if (res.statusCode >= 500) req.log.error('Request completed', fields);
+    else if (res.statusCode >= 400) req.log.warn('Request completed', fields);
+    else req.log.info('Request completed', fields);
+  });
+  next();
+});
+
+app.use(cors({
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : '*',
+  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+  exposedHeaders: ["ETag", "X-Cache", "X-Request-Id", "RateLimit", "RateLimit-Policy", "Retry-After"],
+  credentials: false
+}));
+
+// --- RATE LIMITS ---
+// Per client IP in every RATE_LIMIT_WINDOW_MINUTES. Each limiter counts on its
+// own, so an upload counts towards the write and the upload limit. A limit of
+// 0 turns the limiter off; probes, CORS preflights and the images served from
+// /uploads (a storefront page loads many) are never limited.
+const createRateLimiter = (limit, error, options = {}) => rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+  limit,
+  skip: (req) => limit <= 0 || req.method === 'OPTIONS' || isProbe(req) || req.path.startsWith('/uploads/'),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error },
+  ...options,
+});
+
+const readLimiter = createRateLimiter(RATE_LIMIT_READ, "Too many requests, please try again later");
+const writeLimiter = createRateLimiter(RATE_LIMIT_WRITE, "Too many requests, please try again later");
+// Put in front of multer on every route that takes files
+const uploadLimiter = createRateLimiter(RATE_LIMIT_UPLOAD, "Too many uploads, please try again later");
+// Only failed logins count
+const loginLimiter = createRateLimiter(RATE_LIMIT_LOGIN, "Too many login attempts, please try again later", { skipSuccessfulRequests: true });
+
+app.use((req, res, next) => {
+  const limiter = req.method === 'GET' || req.method === 'HEAD' ? readLimiter : writeLimiter;
+  limiter(req, res, next);
+});
+
+// POST /products/import takes whole catalogs; body parsers skip a body that is already parsed
+app.use('/products/import', express.json({ limit: IMPORT_BODY_LIMIT }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
+
+const checkDbConnection = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ error: "Database unavailable" });
+  }
+  next();
+};
+
+// --- AUTH ---
+// Stream tokens end up in URLs, so they expire quickly; a stream that is already open stays open
+const EVENT_TOKEN_TTL_SECONDS = 5 * 60;
+
+const signToken = (admin) => jwt.sign(
+  { sub: admin._id.toString(), role: admin.role },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Short-lived token that only opens /events, see POST /events/token
+const signStreamToken = (admin) => jwt.sign(
+  { sub: admin._id.toString(), role: admin.role, scope: 'events' },
+  JWT_SECRET,
+  { expiresIn: EVENT_TOKEN_TTL_SECONDS }
+);
+
+/**
+ * The admin a token belongs to, or null when it is invalid, expired or the
+ * admin was deleted. Scoped tokens are only accepted where that scope is asked for.
+ */
+const findAdminByToken = async (token, scope = null) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    return null;
+  }
+  if ((payload.scope || null) !== scope) return null;
+  return Admin.findById(payload.sub);
+};
+
+// Verifies the bearer token and that the admin still exists with a sufficient role.
+// Must run after checkDbConnection and before any multer middleware so that
+// rejected requests never upload files.
+const requireRole = (role) => async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    const admin = await findAdminByToken(token);
+    if (!admin) return res.status(401).json({ error: "Invalid or expired token" });
+    if ((ROLE_LEVELS[admin.role] || 0) < ROLE_LEVELS[role]) {
+      return res.status(403).json({ error: "Insufficient permissions", requiredRole: role });
+    }
+    req.admin = admin;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: "Failed to authenticate" });
+  }
+};
+
+// Creates the first owner from ADMIN_USERNAME / ADMIN_PASSWORD when no admin exists yet
+const ensureBootstrapAdmin = async () => {
+  const count = await Admin.countDocuments();
+  if (count > 0) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = config;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    logger.warn('No admin accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner.');
+    return;
+  }
+
+  const admin = new Admin({
+    username: ADMIN_USERNAME,
+    passwordHash: await bcrypt.hash(ADMIN_PASSWORD, 12),
+    role: 'owner',
+  });
+  await admin.save();
+  logger.info(`Created owner account: ${admin.username}`);
+};
+
+// --- EVENTS ---
+// In-process feed of catalog changes. recordAudit publishes every change it
+// records here and GET /events streams them to browsers as Server-Sent Events.
+
+const EVENT_TYPES = [...WEBHOOK_EVENT_TYPES, 'settings.draft_updated'];
+// The draft is not public, so only signed-in admins receive these
+const ADMIN_EVENT_TYPES = ['settings.draft_updated'];
+// Replayed to clients that reconnect with a Last-Event-ID
+const EVENT_HISTORY_SIZE = 100;
+
+const catalogEvents = new EventEmitter();
+catalogEvents.setMaxListeners(0);
+const recentEvents = [];
+let lastEventId = 0;
+
+const publishEvent = (type, data) => {
+  const event = { id: ++lastEventId, type, at: new Date().toISOString(), data };
+  recentEvents.push(event);
+  if (recentEvents.length > EVENT_HISTORY_SIZE) recentEvents.shift();
+  catalogEvents.emit('event', event);
+  return event;
+};
+
+const toEventPayload = (doc) => (doc && doc.toJSON ? doc.toJSON({ flattenMaps: true }) : doc);
+
+/**
+ * Publishes the feed events for one audited change. Restoring from the trash
+ * counts as created, purging sends nothing (the product was already deleted).
+ * Products are priced like public reads, so an upcoming sale is not announced
+ * early. Never throws.
+ */
+const publishChange = async ({ entity, entityId, action, changes, after, meta }) => {
+  try {
+    const fields = changes.map(c => c.field);
+    if (entity === 'settings') {
+      if (action === 'publish') {
+        publishEvent('settings.updated', { entityId, changes: fields, settings: { ...pickSiteContent(after), _id: entityId, publishedAt: after.publishedAt } });
+      } else {
+        publishEvent('settings.draft_updated', { entityId, changes: fields });
+      }
+      return;
+    }
+
+    if (action === 'delete' || action === 'purge') {
+      if (action === 'delete') publishEvent('product.deleted', { entityId });
+      return;
+    }
+
+    const product = priceProduct(toEventPayload(after), await loadPricing());
+    if (action === 'create' || (action === 'restore' && meta && meta.fromTrash)) {
+      publishEvent('product.created', { entityId, product });
+    } else {
+      publishEvent('product.updated', { entityId, changes: fields, product });
+      const status = changes.find(c => c.field === 'status');
+      if (status) publishEvent('product.status_changed', { entityId, from: status.before, to: status.after, product });
+      if (status && status.before === 'on_the_way' && status.after === 'available') {
+        publishEvent('product.arrived', { entityId, product });
+      }
+    }
+  } catch (e) {
+    logger.warn(`Could not publish ${entity} event for ${entityId}`, { err: e });
+  }
+};
+
+// --- AUDIT ---
+
+// Not part of a revision: bookkeeping fields change on every save, and
+// priceRange/availability are derived from the other fields
+const AUDIT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'priceRange', 'availability'];
+
+// Plain JSON copy of a document (or null) as stored in an audit entry
+const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+  const obj = doc.toObject ? doc.toObject({ depopulate: true, flattenMaps: true }) : doc;
+  const snapshot = JSON.parse(JSON.stringify(obj));
+  for (const field of AUDIT_IGNORED_FIELDS) delete snapshot[field];
+  return snapshot;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects (translations, the settings draft) are diffed per leaf, e.g. "draft.aboutText"
+const diffSnapshots = (before, after, prefix = '') => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields].filter(field => !AUDIT_IGNORED_FIELDS.includes(field)).flatMap(field => {
+    const a = (before || {})[field];
+    const b = (after || {})[field];
+    if (JSON.stringify(a) === JSON.stringify(b)) return [];
+    if (isPlainObject(a) && isPlainObject(b)) return diffSnapshots(a, b, `${prefix}${field}.`);
+    return [{ field: `${prefix}${field}`, before: a ?? null, after: b ?? null }];
+  });
+};
+
+// Image fields and variants are never restored: files replaced since then are already gone from storage
+const RESTORABLE_FIELDS = {
+  product: ['name', 'price', 'sale', 'numeration', 'description', 'translations', 'classifications', 'categories', 'status', 'statusNote', 'expectedArrival'],
+  settings: ['landingTitle', 'landingDescription', 'aboutText', 'servicesText', 'translations'],
+};
+
+const applyRevision = (doc, entity, snapshot) => {
+  for (const field of RESTORABLE_FIELDS[entity]) {
+    doc.set(field, snapshot[field]);
+  }
+};
+
+const fetchAuditEntries = async (filter, params) => {
+  const { page, limit } = params;
+  const [entries, total] = await Promise.all([
+    AuditEntry.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+    AuditEntry.countDocuments(filter),
+  ]);
+  return { entries, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+const salePriceOf = (snapshot) => (snapshot && snapshot.sale ? snapshot.sale.price : null);
+
+// Price history rows for one product revision: regular and sale price, then every variant price
+const priceChangesOf = (before, after) => {
+  if (!after) return [];
+  const changes = [];
+  const previousPrice = before ? before.price : null;
+  if (previousPrice !== after.price) changes.push({ field: 'price', before: previousPrice, after: after.price });
+  if (salePriceOf(before) !== salePriceOf(after)) {
+    changes.push({ field: 'salePrice', before: salePriceOf(before), after: salePriceOf(after) });
+  }
+
+  const previousVariants = (before && before.variants) || [];
+  for (const variant of after.variants || []) {
+    const previous = previousVariants.find(v => v._id === variant._id);
+    const previousVariantPrice = previous ? previous.price : null;
+    if (previousVariantPrice !== variant.price) {
+      changes.push({ field: 'price', variant: variant._id, sku: variant.sku, before: previousVariantPrice, after: variant.price });
+    }
+  }
+  return changes;
+};
+
+const AUDIT_REVISION_ATTEMPTS = 5;
+
+// Takes the next revision number. Two writes to the same entity may pick the
+// same one; the unique index rejects the later, which then tries the next number.
+const createAuditEntry = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditEntry.findOne({ entity: fields.entity, entityId: fields.entityId }).sort({ revision: -1 }).select('revision');
+    try {
+      return await AuditEntry.create({ ...fields, revision: last ? last.revision + 1 : 1 });
+    } catch (e) {
+      if (e.code !== 11000 || attempt >= AUDIT_REVISION_ATTEMPTS) throw e;
+    }
+  }
+};
+
+/**
+ * Stores one revision of an entity and publishes it to the change feed.
+ * `before`/`after` are documents or snapshots, null for creates and deletes.
+ * Updates that change nothing are skipped. Product revisions that change a
+ * price also add PriceChange rows.
+ * Never throws: a failed audit write must not fail the change itself.
+ */
+const recordAudit = async ({ req, entity, entityId, action, before, after, meta }) => {
+  try {
+    const beforeSnapshot = toAuditSnapshot(before);
+    const afterSnapshot = toAuditSnapshot(after);
+    const changes = diffSnapshots(beforeSnapshot, afterSnapshot);
+    if (action === 'update' && changes.length === 0) return null;
+    await publishChange({ entity, entityId, action, changes, after, meta });
+
+    const actor = req && req.admin ? { id: req.admin._id, username: req.admin.username } : undefined;
+    const entry = await createAuditEntry({
+      entity,
+      entityId,
+      action,
+      changes,
+      snapshot: afterSnapshot,
+      actor,
+      meta,
+    });
+
+    const priceChanges = entity === 'product' ? priceChangesOf(beforeSnapshot, afterSnapshot) : [];
+    if (priceChanges.length > 0) {
+      await PriceChange.insertMany(priceChanges.map(change => ({ ...change, product: entityId, actor })))
+        .catch(e => logger.warn(`Could not record price history for product ${entityId}`, { err: e }));
+    }
+    return entry;
+  } catch (e) {
+    logger.warn(`Could not record audit entry for ${entity} ${entityId}`, { err: e });
+    return null;
+  }
+};
+
+// --- LOCALES ---
+
+const TRANSLATABLE_FIELDS = {
+  product: ['name', 'description'],
+  settings: ['landingTitle', 'landingDescription', 'aboutText', 'servicesText'],
+};
+
+// "en-US" -> "en"
+const normalizeLocale = (value) => String(value).trim().toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Locale for public reads: ?lang= wins over Accept-Language, anything
+ * unsupported falls back to DEFAULT_LOCALE. ?lang=all returns null, meaning
+ * "send the raw document with every translation" (admin panels).
+ */
+const getReadLocale = (req) => {
+  if (req.query.lang === 'all') return null;
+  if (req.query.lang) {
+    const locale = normalizeLocale(req.query.lang);
+    return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  }
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+};
+
+// Locale an admin write targets (?lang= or a `lang` body field), DEFAULT_LOCALE when omitted.
+// Both are checked against SUPPORTED_LOCALES by the route's localeParam.
+const getWriteLocale = (req) => req.query.lang || (req.body && req.body.lang) || DEFAULT_LOCALE;
+
+// Writes one locale of a translatable field and leaves the other locales alone
+const setLocalizedField = (doc, field, value, locale) => {
+  if (locale === DEFAULT_LOCALE) doc.set(field, value);
+  else doc.set(`translations.${locale}.${field}`, value);
+};
+
+// Plain object with translatable fields resolved for `locale`; empty translations fall back
+const localize = (doc, entity, locale) => {
+  const obj = doc.toJSON ? doc.toJSON({ flattenMaps: true }) : { ...doc };
+  if (!locale) return obj;
+
+  const translation = (obj.translations || {})[locale] || {};
+  for (const field of TRANSLATABLE_FIELDS[entity]) {
+    if (translation[field]) obj[field] = translation[field];
+  }
+  delete obj.translations;
+  obj.locale = locale;
+  return obj;
+};
+
+// --- CACHE ---
+// Public reads (GET /products, /products/:id, /products/:id/variants,
+// /products/status/:status and /settings) are served from a response cache and
+// carry ETag/Last-Modified, so returning visitors get 304s. Every catalog,
+// settings or promotion change clears it.
+// A cache driver exposes async get(key), set(key, entry, ttlMs) and clear();
+// entries are plain JSON-safe objects, so a shared store (Redis, memcached)
+// can be plugged in as another driver.
+
+const createMemoryCache = () => {
+  // Map keeps insertion order, re-inserting on read makes the first key the least recently used
+  const entries = new Map();
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const item = entries.get(key);
+      if (!item) return null;
+      entries.delete(key);
+      if (item.expiresAt <= Date.now()) return null;
+      entries.set(key, item);
+      return item.entry;
+    },
+    set: async (key, entry, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      if (entries.size > CACHE_MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    },
+    clear: async () => entries.clear(),
+  };
+};
+
+// Headers and 304s only, every request goes to the database
+const createNoCache = () => ({
+  name: 'none',
+  get: async () => null,
+  set: async () => { },
+  clear: async () => { },
+});
+
+const CACHE_DRIVERS = {
+  memory: createMemoryCache,
+  none: createNoCache,
+};
+
+if (!CACHE_DRIVERS[CACHE_DRIVER]) {
+  throw new Error(`Unknown CACHE_DRIVER "${CACHE_DRIVER}". Use one of: ${Object.keys(CACHE_DRIVERS).join(', ')}`);
+}
+const responseCache = CACHE_DRIVERS[CACHE_DRIVER]();
+
+// Bumped on every invalidation; a read that started before one does not store its result
+let cacheGeneration = 0;
+// Lists can lose items without any remaining item changing, so their
+// Last-Modified is never older than the last change seen by this process
+let lastCatalogChange = new Date();
+
+const invalidateResponseCache = () => {
+  cacheGeneration++;
+  lastCatalogChange = new Date();
+  responseCache.clear().catch(err => logger.warn(`Could not clear ${responseCache.name} cache`, { err }));
+};
+
+// Audited changes, including scheduled publishes that have no request
+catalogEvents.on('event', (event) => {
+  if (!ADMIN_EVENT_TYPES.includes(event.type)) invalidateResponseCache();
+});
+
+// Writes that are not audited (categories, no-op saves) clear it once they succeed
+app.use(['/products', '/categories', '/settings', '/promotions'], (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.on('finish', () => {
+      if (res.statusCode < 400) invalidateResponseCache();
+    });
+  }
+  next();
+});
+
+const latestDate = (dates) => new Date(Math.max(...dates.filter(Boolean).map(d => new Date(d).getTime())));
+
+/**
+ * Sends a public GET from the cache, or from `load` on a miss. `load` returns
+ * { body, lastModified, expiresAt? }, or null when there is nothing to send
+ * (not found, bad filter); then nothing is sent or cached and this returns
+ * false. `expiresAt` is when the body goes stale without any write, e.g. when
+ * a sale ends; the entry is not kept past it.
+ * Answers 304 when the client's If-None-Match / If-Modified-Since still match.
+ */
+const sendCachedJson = async (req, res, load) => {
+  const key = `${getReadLocale(req) || 'all'} ${req.originalUrl}`;
+  res.vary('Accept-Language');
+
+  let entry = await responseCache.get(key).catch(() => null);
+  const hit = Boolean(entry);
+  if (!entry) {
+    const generation = cacheGeneration;
+    const result = await load();
+    if (!result) return false;
+
+    const body = JSON.stringify(result.body);
+    entry = {
+      body,
+      etag: `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+      lastModified: result.lastModified.toUTCString(),
+    };
+    const ttlMs = Math.min(CACHE_TTL_SECONDS * 1000, result.expiresAt ? result.expiresAt.getTime() - Date.now() : Infinity);
+    if (generation === cacheGeneration && ttlMs > 0) {
+      await responseCache.set(key, entry, ttlMs)
+        .catch(err => logger.warn(`Could not write ${responseCache.name} cache`, { err }));
+    }
+  }
+
+  // Browsers may keep a copy but must revalidate it on every use
+  res.set({ ETag: entry.etag, 'Last-Modified': entry.lastModified, 'Cache-Control': 'no-cache', 'X-Cache': hit ? 'HIT' : 'MISS' });
+  if (req.fresh) res.status(304).end();
+  else res.type('json').send(entry.body);
+  return true;
+};
+
+// --- STORAGE ---
+// Every driver exposes the same interface, routes never talk to a provider directly:
+//   engine            multer storage engine used by uploadImage
+//   toAsset(file)     { url, publicId } for a file multer just stored
+//   destroy(publicId) removes the stored file
+//   publicUrl(id)     URL the storefront can load the file from
+//   check()           optional, rejects when the backend cannot be used (see /health/ready)
+
+const UPLOAD_FOLDER = 'smarthome-products';
+const ALLOWED_IMAGE_FORMATS = ['jpg', 'png', 'jpeg', 'gif', 'webp', 'svg'];
+
+// A file the client should not have sent; answered with a 400 like any validation failure
+const uploadError = (file, message) => Object.assign(new Error(message), { uploadField: file.fieldname });
+
+const buildUploadName = (file) => {
+  const timestamp = Date.now();
+  const safeName = file.originalname.replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
+  return `${timestamp}-${safeName.split('.')[0]}`;
+};
+
+const createCloudinaryDriver = () => {
+  cloudinary.config({
+    cloud_name: config.CLOUDINARY_CLOUD_NAME,
+    api_key: config.CLOUDINARY_API_KEY,
+    api_secret: config.CLOUDINARY_API_SECRET,
+  });
+
+  return {
+    name: 'cloudinary',
+    engine: new CloudinaryStorage({
+      cloudinary: cloudinary,
+      params: {
+        folder: UPLOAD_FOLDER,
+        allowed_formats: ALLOWED_IMAGE_FORMATS,
+        public_id: (req, file) => buildUploadName(file),
+      }
+    }),
+    toAsset: (file) => ({ url: file.path, publicId: file.filename }),
+    destroy: (publicId) => cloudinary.uploader.destroy(publicId, { resource_type: 'image' }),
+    publicUrl: (publicId) => cloudinary.url(publicId, { secure: true }),
+    // Counts against the Admin API quota, readiness probes cache the result
+    check: () => cloudinary.api.ping(),
+  };
+};
+
+// Files live under UPLOADS_DIR and are served by the /uploads static route
+const createLocalDriver = () => {
+  const root = path.resolve(config.UPLOADS_DIR);
+  const publicUrl = (publicId) => `${config.PUBLIC_BASE_URL}/uploads/${publicId}`;
+
+  // Public ids come from the database and URLs, never let them escape the root
+  const resolveInRoot = (publicId) => {
+    const filePath = path.resolve(root, publicId);
+    if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid public id: ${publicId}`);
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    engine: multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = path.join(root, UPLOAD_FOLDER);
+        fs.mkdir(dir, { recursive: true }).then(() => cb(null, dir), cb);
+      },
+      filename: (req, file, cb) => {
+        const ext = path.extname(file.originalname).slice(1).toLowerCase();
+        if (!ALLOWED_IMAGE_FORMATS.includes(ext)) {
+          return cb(uploadError(file, `Image format not allowed. Allowed: ${ALLOWED_IMAGE_FORMATS.join(', ')}`));
+        }
+        cb(null, `${buildUploadName(file)}.${ext}`);
+      },
+    }),
+    toAsset: (file) => {
+      const publicId = `${UPLOAD_FOLDER}/${file.filename}`;
+      return { url: publicUrl(publicId), publicId };
+    },
+    destroy: (publicId) => fs.rm(resolveInRoot(publicId), { force: true }),
+    publicUrl,
+    check: async () => {
+      await fs.mkdir(root, { recursive: true });
+      await fs.access(root, fs.constants.W_OK);
+    },
+  };
+};
+
+const STORAGE_DRIVERS = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+};
+
+if (!STORAGE_DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Use one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+}
+let storage = STORAGE_DRIVERS[STORAGE_DRIVER]();
+
+// Swaps the driver at runtime, e.g. for a stub in tests. The local /uploads
+// route is only mounted for the driver picked at startup.
+const setStorageDriver = (driver) => {
+  storage = driver;
+};
+
+// Never fails the upload: a file missing from the registry is only invisible to reconcileAssets
+const registerAsset = async (file) => {
+  const { url, publicId } = storage.toAsset(file);
+  try {
+    await Asset.updateOne({ publicId }, { $setOnInsert: { url, driver: storage.name } }, { upsert: true });
+  } catch (e) {
+    logger.warn(`Could not register ${storage.name} asset ${publicId}`, { err: e });
+  }
+};
+
+// Records the failure on the registry row instead of throwing, so reconcileAssets can retry
+const markDestroyFailed = (publicId, error) => Asset.updateOne(
+  { publicId },
+  { $set: { destroyError: error.message, destroyFailedAt: new Date() }, $setOnInsert: { driver: storage.name } },
+  { upsert: true }
+).catch(e => logger.warn(`Could not record failed destroy of ${publicId}`, { err: e }));
+
+// Failing to remove an old file should never fail the request that replaced it
+const destroyAsset = async (publicId) => {
+  if (publicId) {
+    try {
+      await storage.destroy(publicId);
+      await Asset.deleteOne({ publicId });
+    } catch (e) {
+      logger.warn(`Could not destroy ${storage.name} asset ${publicId}`, { err: e });
+      await markDestroyFailed(publicId, e);
+    }
+  }
+};
+
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.root, { maxAge: '7d' }));
+}
+
+const uploadImage = multer({
+  // Looked up per file so setStorageDriver also applies to uploads. Every
+  // stored file is registered before the route sees it.
+  storage: {
+    _handleFile: (req, file, cb) => storage.engine._handleFile(req, file, (err, info) => {
+      if (err) return cb(err);
+      registerAsset({ ...file, ...info }).then(() => cb(null, info));
+    }),
+    // Multer removes the files stored before a rejected one; never fails, see destroyAsset
+    _removeFile: (req, file, cb) => destroyAsset(storage.toAsset(file).publicId).then(() => cb(null)),
+  },
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(uploadError(file, 'Only image files are allowed!'), false);
+    }
+  }
+});
+
+// --- VALIDATION ---
+// Every route declares its params, query and body as zod schemas and runs them
+// through validate() after auth and multer. Failures always look like
+// { error: "Validation failed", fields: [{ location, field, message }] }.
+
+const MAX_PAGE_LIMIT = 100;
+
+// "abc" sent for a number would otherwise read "Expected number, received nan"
+z.setErrorMap((issue, ctx) => {
+  if (issue.code === z.ZodIssueCode.invalid_type && issue.received === 'nan') return { message: 'Expected number' };
+  return { message: ctx.defaultError };
+});
+
+// Accepts both ?status=a,b and ?status=a&status=b
+const parseListParam = (value) => {
+  if (value === undefined || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+};
+
+// Query strings and multipart fields are always strings; a blank one counts as missing
+const fromString = (convert) => (value) => {
+  if (typeof value !== 'string') return value;
+  return value.trim() === '' ? undefined : convert(value.trim());
+};
+const toNumber = fromString(Number);
+const toDate = fromString(v => new Date(v));
+const toBoolean = fromString(v => ({ true: true, false: false })[v] ?? v);
+
+// Objects sent as form fields or CSV cells arrive as JSON text
+const fromJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+const zNumber = (schema = z.number()) => z.preprocess(toNumber, schema);
+const zDate = (schema = z.date()) => z.preprocess(toDate, schema);
+const zBoolean = (schema = z.boolean()) => z.preprocess(toBoolean, schema);
+const zList = (item) => z.preprocess(v => (v === undefined ? v : parseListParam(v)), z.array(item));
+const zObjectId = () => z.string().refine(v => mongoose.isValidObjectId(v), 'Invalid id');
+
+// An empty form field: optional() treats it as not sent, clearable() as null (remove the value)
+const optional = (schema) => z.preprocess(v => (v === '' ? undefined : v), schema.optional());
+const clearable = (schema) => z.preprocess(v => (v === '' ? null : v), schema.nullable().optional());
+
+const idParams = z.object({ id: zObjectId() });
+const revisionParams = (shape = {}) => z.object({ ...shape, revision: zNumber(z.number().int().min(1)) });
+
+const pageParam = optional(zNumber(z.number().int().min(1)));
+const limitParam = optional(zNumber(z.number().int().min(1).max(MAX_PAGE_LIMIT)));
+// For list routes that always paginate
+const paginationQuery = (defaultLimit) => ({
+  page: pageParam.transform(page => page ?? 1),
+  limit: limitParam.transform(limit => limit ?? defaultLimit),
+});
+
+// Public reads fall back to DEFAULT_LOCALE for anything unsupported, see getReadLocale
+const readLocaleQuery = z.object({ lang: z.string().optional() });
+// Admin writes reject an unsupported locale, see getWriteLocale
+const localeParam = optional(z.string()
+  .transform(normalizeLocale)
+  .refine(l => SUPPORTED_LOCALES.includes(l), `Unsupported language, use one of: ${SUPPORTED_LOCALES.join(', ')}`));
+const writeLocaleQuery = z.object({ lang: localeParam });
+
+const getUploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Multer has already stored the files by the time a request is rejected
+const discardUploads = (req) => Promise.all(
+  getUploadedFiles(req).map(file => destroyAsset(storage.toAsset(file).publicId))
+);
+
+const sendValidationError = async (req, res, fields) => {
+  await discardUploads(req);
+  res.status(400).json({ error: "Validation failed", fields });
+};
+
+/**
+ * Parses req.params, req.query and req.body with the given zod schemas and
+ * replaces them with the parsed values. `files` lists multer fields that must
+ * contain at least one upload.
+ */
+const validate = ({ params, query, body, files = [] }) => async (req, res, next) => {
+  const fields = [];
+  for (const [location, schema] of [['params', params], ['query', query], ['body', body]]) {
+    if (!schema) continue;
+    const result = schema.safeParse(req[location] || {});
+    if (result.success) {
+      req[location] = result.data;
+    } else {
+      fields.push(...result.error.issues.map(issue => ({ location, field: issue.path.join('.'), message: issue.message })));
+    }
+  }
+
+  const uploadedFields = getUploadedFiles(req).map(file => file.fieldname);
+  for (const name of files) {
+    if (!uploadedFields.includes(name)) fields.push({ location: 'files', field: name, message: 'Required' });
+  }
+
+  if (fields.length === 0) return next();
+  await sendValidationError(req, res, fields);
+};
+
+// --- HEALTH CHECK ---
+app.get("/", (req, res) => {
+  res.json({
+    message: "SmartHome Products API ✅",
+    timestamp: new Date().toISOString(),
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    readyState: mongoose.connection.readyState
+  });
+});
+
+// Liveness: the process answers. Restart it when this fails.
+app.get("/health/live", (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+// Cloudinary counts pings against its Admin API quota
+const STORAGE_CHECK_TTL_MS = 60 * 1000;
+let lastStorageCheck = null;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// { status: 'ok' | 'failing', latencyMs, error? } of one dependency
+const runHealthCheck = async (check) => {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(check(), HEALTH_CHECK_TIMEOUT_MS);
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (e) {
+    return { status: 'failing', latencyMs: Date.now() - startedAt, error: e.message };
+  }
+};
+
+const checkDatabase = () => runHealthCheck(async () => {
+  if (mongoose.connection.readyState !== 1) throw new Error('Not connected');
+  await mongoose.connection.db.admin().ping();
+});
+
+const checkStorage = async () => {
+  // Drivers without a check (test stubs) are taken as working
+  if (!storage.check) return { status: 'ok', driver: storage.name };
+  const now = Date.now();
+  if (!lastStorageCheck || lastStorageCheck.driver !== storage.name || now - lastStorageCheck.checkedAt > STORAGE_CHECK_TTL_MS) {
+    lastStorageCheck = { driver: storage.name, checkedAt: now, result: await runHealthCheck(storage.check) };
+  }
+  return { ...lastStorageCheck.result, driver: storage.name, checkedAt: new Date(lastStorageCheck.checkedAt).toISOString() };
+};
+
+// Readiness: database and storage work. Take the instance out of the load balancer while this fails.
+app.get("/health/ready", async (req, res) => {
+  const [database, storageCheck] = await Promise.all([checkDatabase(), checkStorage()]);
+  const ready = database.status === 'ok' && storageCheck.status === 'ok';
+  if (!ready) req.log.warn('Readiness check failed', { database, storage: storageCheck });
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'unavailable',
+    checks: { database, storage: storageCheck },
+  });
+});
+
+// ========== AUTH / ADMINS ==========
+
+const loginBody = z.object({
+  username: z.string().trim().toLowerCase().min(1),
+  password: z.string().min(1),
+});
+
+app.post("/auth/login", loginLimiter, checkDbConnection, validate({ body: loginBody }), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const admin = await Admin.findOne({ username });
+    if (!admin || !(await admin.checkPassword(password))) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    req.log.info(`Admin logged in: ${admin.username}`);
+    res.json({ token: signToken(admin), expiresIn: JWT_EXPIRES_IN, admin });
+  } catch (error) {
+    req.log.error('Error logging in', { err: error });
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+app.get("/auth/me", checkDbConnection, requireRole('editor'), (req, res) => {
+  res.json({ admin: req.admin });
+});
+
+app.get("/admins", checkDbConnection, requireRole('owner'), async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.json({ admins });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch admins" });
+  }
+});
+
+const createAdminBody = z.object({
+  username: z.string().trim().toLowerCase().min(1),
+  password: z.string().min(8),
+  role: z.enum(ADMIN_ROLES).default('editor'),
+});
+
+app.post("/admins", checkDbConnection, requireRole('owner'), validate({ body: createAdminBody }), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const existing = await Admin.findOne({ username });
+    if (existing) return res.status(409).json({ error: "Username already exists" });
+
+    const admin = new Admin({
+      username,
+      passwordHash: await bcrypt.hash(password, 12),
+      role,
+    });
+    await admin.save();
+    req.log.info(`Admin created: ${admin.username} (${admin.role})`);
+    res.status(201).json({ message: "Admin created successfully", admin });
+  } catch (error) {
+    req.log.error('Error creating admin', { err: error });
+    res.status(500).json({ error: "Failed to create admin", details: error.message });
+  }
+});
+
+app.delete("/admins/:id", checkDbConnection, requireRole('owner'), validate({ params: idParams }), async (req, res) => {
+  try {
+    if (req.admin._id.equals(req.params.id)) {
+      return res.status(400).json({ error: "You cannot delete your own account" });
+    }
+    const admin = await Admin.findByIdAndDelete(req.params.id);
+    if (!admin) return res.status(404).json({ error: "Admin not found" });
+    req.log.info(`Admin deleted: ${admin.username}`);
+    res.json({ message: "Admin deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete admin" });
+  }
+});
+
+// ========== CATEGORIES ==========
+
+// Keeps non-latin letters so localized names still produce readable slugs
+const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Returns the given category id plus the ids of all its descendants
+const getCategoryWithDescendants = async (rootId) => {
+  const all = await Category.find({}, { _id: 1, parent: 1 }).lean();
+  const childrenByParent = new Map();
+  for (const c of all) {
+    const key = c.parent ? c.parent.toString() : null;
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(c._id);
+  }
+
+  const ids = [rootId];
+  for (let i = 0; i < ids.length; i++) {
+    ids.push(...(childrenByParent.get(ids[i].toString()) || []));
+  }
+  return ids;
+};
+
+const findCategoryByIdOrSlug = (value) => {
+  if (mongoose.isValidObjectId(value)) return Category.findById(value);
+  return Category.findOne({ slug: String(value).toLowerCase() });
+};
+
+/**
+ * Resolves a product's `categories` field (array or comma-separated ids/slugs)
+ * into category ids. Returns { ids, missing }.
+ */
+const resolveCategoryIds = async (value) => {
+  const refs = parseListParam(value);
+  const ids = [];
+  const missing = [];
+  for (const ref of refs) {
+    const category = await findCategoryByIdOrSlug(ref);
+    if (category) {
+      if (!ids.some(id => id.equals(category._id))) ids.push(category._id);
+    } else {
+      missing.push(ref);
+    }
+  }
+  return { ids, missing };
+};
+
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(c => [c._id.toString(), { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+// A category cannot be moved under itself or one of its own descendants
+const wouldCreateCycle = async (categoryId, newParentId) => {
+  const descendants = await getCategoryWithDescendants(categoryId);
+  return descendants.some(id => id.equals(newParentId));
+};
+
+const categoryListQuery = z.object({ tree: optional(zBoolean()) });
+
+app.get("/categories", checkDbConnection, validate({ query: categoryListQuery }), async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ order: 1, name: 1 }).lean();
+    if (req.query.tree) {
+      return res.json({ categories: buildCategoryTree(categories) });
+    }
+    res.json({ categories });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+app.get("/categories/:idOrSlug", checkDbConnection, validate({ params: z.object({ idOrSlug: z.string() }) }), async (req, res) => {
+  try {
+    const category = await findCategoryByIdOrSlug(req.params.idOrSlug);
+    if (!category) return res.status(404).json({ error: "Category not found" });
+    const children = await Category.find({ parent: category._id }).sort({ order: 1, name: 1 });
+    res.json({ category, children });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch category" });
+  }
+});
+
+// `parent` is a category id or slug
+const categoryFields = {
+  name: z.string().trim().min(1),
+  slug: z.string().optional(),
+  order: optional(zNumber(z.number().int())),
+};
+
+const createCategoryBody = z.object({
+  ...categoryFields,
+  parent: z.string().optional(),
+});
+
+const updateCategoryBody = z.object({
+  ...categoryFields,
+  name: optional(categoryFields.name),
+  parent: clearable(z.string()),
+});
+
+app.post("/categories", checkDbConnection, requireRole('editor'), uploadLimiter, uploadImage.single('image'), validate({ body: createCategoryBody }), async (req, res) => {
+  try {
+    const { name, slug, parent, order } = req.body;
+    const categoryData = {
+      name,
+      slug: slugify(slug || name),
+    };
+    if (!categoryData.slug) {
+      return sendValidationError(req, res, [{ location: 'body', field: 'slug', message: 'Could not build a slug from the category name' }]);
+    }
+
+    if (await Category.exists({ slug: categoryData.slug })) {
+      await discardUploads(req);
+      return res.status(409).json({ error: "Category slug already exists", slug: categoryData.slug });
+    }
+
+    if (parent) {
+      const parentCategory = await findCategoryByIdOrSlug(parent);
+      if (!parentCategory) {
+        return sendValidationError(req, res, [{ location: 'body', field: 'parent', message: 'Parent category not found' }]);
+      }
+      categoryData.parent = parentCategory._id;
+    }
+
+    if (order !== undefined) categoryData.order = order;
+
+    if (req.file) {
+      const asset = storage.toAsset(req.file);
+      categoryData.image = asset.url;
+      categoryData.imagePublicId = asset.publicId;
+    }
+
+    const category = new Category(categoryData);
+    await category.save();
+    req.log.info(`Category created: ${category.slug}`);
+    res.status(201).json({ message: "Category created successfully", category });
+  } catch (error) {
+    await discardUploads(req);
+    req.log.error('Error creating category', { err: error });
+    res.status(500).json({ error: "Failed to create category", details: error.message });
+  }
+});
+
+app.put("/categories/:id", checkDbConnection, requireRole('editor'), uploadLimiter, uploadImage.single('image'), validate({ params: idParams, body: updateCategoryBody }), async (req, res) => {
+  try {
+    const { name, slug, parent, order } = req.body;
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      await discardUploads(req);
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    if (name !== undefined) category.name = name;
+
+    if (slug) {
+      const newSlug = slugify(slug);
+      if (!newSlug) return sendValidationError(req, res, [{ location: 'body', field: 'slug', message: 'Invalid slug' }]);
+      if (newSlug !== category.slug && await Category.exists({ slug: newSlug })) {
+        await discardUploads(req);
+        return res.status(409).json({ error: "Category slug already exists", slug: newSlug });
+      }
+      category.slug = newSlug;
+    }
+
+    if (parent === null) {
+      category.parent = null;
+    } else if (parent !== undefined) {
+      const parentCategory = await findCategoryByIdOrSlug(parent);
+      if (!parentCategory) {
+        return sendValidationError(req, res, [{ location: 'body', field: 'parent', message: 'Parent category not found' }]);
+      }
+      if (await wouldCreateCycle(category._id, parentCategory._id)) {
+        return sendValidationError(req, res, [{ location: 'body', field: 'parent', message: 'A category cannot be nested under itself or its descendants' }]);
+      }
+      category.parent = parentCategory._id;
+    }
+
+    if (order !== undefined) category.order = order;
+
+    const replacedPublicId = req.file ? category.imagePublicId : null;
+    if (req.file) {
+      const asset = storage.toAsset(req.file);
+      category.image = asset.url;
+      category.imagePublicId = asset.publicId;
+    }
+
+    await category.save();
+    await destroyAsset(replacedPublicId);
+    req.log.info(`Category updated: ${category.slug}`);
+    res.json({ message: "Category updated successfully", category });
+  } catch (error) {
+    await discardUploads(req);
+    req.log.error('Error updating category', { err: error });
+    res.status(500).json({ error: "Failed to update category", details: error.message });
+  }
+});
+
+app.delete("/categories/:id", checkDbConnection, requireRole('owner'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ error: "Category not found" });
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ error: "Category has subcategories. Move or delete them first." });
+    }
+
+    await destroyAsset(category.imagePublicId);
+    const { modifiedCount } = await Product.updateMany(
+      { categories: category._id },
+      { $pull: { categories: category._id } }
+    );
+    await Category.findByIdAndDelete(category._id);
+    req.log.info(`Category deleted: ${category.slug} (removed from ${modifiedCount} products)`);
+    res.json({ message: "Category deleted successfully", productsUpdated: modifiedCount });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete category" });
+  }
+});
+
+/**
+ * Turns the legacy comma-separated `classifications` strings into top-level
+ * categories and links every product to them. The strings themselves are kept.
+ * Send { "dryRun": true } to only get the report.
+ */
+const dryRunInput = z.object({ dryRun: optional(zBoolean()).transform(Boolean) });
+
+app.post("/categories/migrate-classifications", checkDbConnection, requireRole('owner'), validate({ body: dryRunInput }), async (req, res) => {
+  try {
+    const { dryRun } = req.body;
+    const products = await Product.find({ classifications: { $nin: [null, ''] } });
+
+    const existing = await Category.find();
+    const categoriesBySlug = new Map(existing.map(c => [c.slug, c]));
+    const createdSlugs = [];
+    let productsUpdated = 0;
+
+    for (const product of products) {
+      const names = product.classifications.split(',').map(n => n.trim()).filter(Boolean);
+      const ids = [];
+
+      for (const name of names) {
+        const slug = slugify(name);
+        if (!slug) continue;
+
+        let category = categoriesBySlug.get(slug);
+        if (!category) {
+          category = new Category({ name, slug });
+          if (!dryRun) await category.save();
+          categoriesBySlug.set(slug, category);
+          createdSlugs.push(slug);
+        }
+        ids.push(category._id);
+      }
+
+      const newIds = ids.filter(id => !product.categories.some(existingId => existingId.equals(id)));
+      if (newIds.length === 0) continue;
+
+      productsUpdated++;
+      if (!dryRun) {
+        await Product.updateOne({ _id: product._id }, { $addToSet: { categories: { $each: newIds } } });
+      }
+    }
+
+    req.log.info(`Classifications migration${dryRun ? ' (dry run)' : ''}: ${createdSlugs.length} categories, ${productsUpdated} products`);
+    res.json({
+      message: dryRun ? "Dry run complete, nothing was written" : "Classifications migrated successfully",
+      dryRun,
+      productsScanned: products.length,
+      productsUpdated,
+      categoriesCreated: createdSlugs,
+    });
+  } catch (error) {
+    req.log.error('Error migrating classifications', { err: error });
+    res.status(500).json({ error: "Failed to migrate classifications", details: error.message });
+  }
+});
+
+// ========== PRODUCTS ==========
+
+const MAX_OTHER_PHOTOS = 10;
+
+// Products in the trash behave as if they did not exist for every route except the trash ones
+const findActiveProduct = (id) => Product.findOne({ _id: id, deletedAt: null });
+
+// Every sort ends with _id so page boundaries stay stable between requests
+const PRODUCT_SORTS = {
+  newest: { uploadDate: -1, _id: -1 },
+  oldest: { uploadDate: 1, _id: 1 },
+  // Numeration ascending, then by uploadDate for items without numeration
+  numeration: { numeration: 1, uploadDate: -1, _id: -1 },
+  numeration_desc: { numeration: -1, uploadDate: -1, _id: -1 },
+  // By the cheapest variant ascending, by the most expensive one descending
+  price: { 'priceRange.min': 1, _id: 1 },
+  price_desc: { 'priceRange.max': -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  name_desc: { name: -1, _id: -1 },
+  updatedAt: { updatedAt: 1, _id: 1 },
+  updatedAt_desc: { updatedAt: -1, _id: -1 },
+};
+
+// Shared by the upload, update and import schemas
+const productFields = {
+  name: z.string().trim().min(1),
+  price: zNumber(z.number().min(0)),
+  numeration: zNumber(z.number().int().min(0)),
+  description: z.string(),
+  classifications: z.string().trim(),
+  // Category ids or slugs, resolved by resolveCategoryIds
+  categories: zList(z.string()),
+  status: z.enum(PRODUCT_STATUSES),
+  statusNote: z.string().trim(),
+  expectedArrival: zDate(),
+};
+
+const createProductBody = z.object({
+  name: productFields.name,
+  price: productFields.price,
+  numeration: optional(productFields.numeration),
+  description: productFields.description.default(''),
+  classifications: productFields.classifications.default(''),
+  categories: productFields.categories.optional(),
+  status: optional(productFields.status),
+  statusNote: optional(productFields.statusNote),
+  expectedArrival: optional(productFields.expectedArrival),
+});
+
+// Omitted fields are left alone; numeration and expectedArrival are removed when sent empty
+const updateProductBody = z.object({
+  name: optional(productFields.name),
+  price: optional(productFields.price),
+  numeration: clearable(productFields.numeration),
+  description: productFields.description.optional(),
+  classifications: productFields.classifications.optional(),
+  categories: productFields.categories.optional(),
+  status: optional(productFields.status),
+  statusNote: productFields.statusNote.optional(),
+  expectedArrival: clearable(productFields.expectedArrival),
+  lang: localeParam,
+});
+
+/**
+ * GET /products and GET /products/status/:status. `category` is an id or slug
+ * and also matches products in its subcategories. `status` matches the
+ * availability and minPrice/maxPrice any part of the price range, so products
+ * with variants are found by any of them. Without page/limit every match is
+ * returned, as before.
+ */
+const productListQuery = z.object({
+  q: z.string().trim().optional(),
+  status: zList(z.enum(PRODUCT_STATUSES)).optional(),
+  category: optional(z.string()),
+  minPrice: optional(zNumber(z.number().min(0))),
+  maxPrice: optional(zNumber(z.number().min(0))),
+  // Text searches default to relevance, everything else to newest
+  sort: optional(z.enum([...Object.keys(PRODUCT_SORTS), 'relevance'])),
+  page: pageParam,
+  limit: limitParam,
+  lang: z.string().optional(),
+}).refine(
+  query => query.minPrice === undefined || query.maxPrice === undefined || query.minPrice <= query.maxPrice,
+  { message: 'minPrice cannot be greater than maxPrice', path: ['minPrice'] }
+);
+
+/**
+ * Turns a parsed productListQuery into a mongo filter, sort and page.
+ * Returns { error } with a validation field when the category does not exist.
+ */
+const buildProductQuery = async (params) => {
+  const { q, sort, minPrice, maxPrice, status: statuses = [] } = params;
+  const filter = { deletedAt: null };
+
+  if (statuses.length === 1) filter.availability = statuses[0];
+  if (statuses.length > 1) filter.availability = { $in: statuses };
+
+  if (minPrice !== undefined) filter['priceRange.max'] = { $gte: minPrice };
+  if (maxPrice !== undefined) filter['priceRange.min'] = { $lte: maxPrice };
+
+  if (params.category) {
+    const category = await findCategoryByIdOrSlug(params.category);
+    if (!category) return { error: { location: 'query', field: 'category', message: 'Category not found' } };
+    filter.categories = { $in: await getCategoryWithDescendants(category._id) };
+  }
+
+  if (q) filter.$text = { $search: q };
+
+  let sortOptions = PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest;
+  if (q && (!sort || sort === 'relevance')) {
+    sortOptions = { score: { $meta: 'textScore' }, _id: -1 };
+  }
+
+  const paginate = params.page !== undefined || params.limit !== undefined;
+  return { filter, sort: sortOptions, paginate, page: params.page ?? 1, limit: params.limit ?? 20 };
+};
+
+const runProductQuery = async ({ filter, sort, paginate, page, limit }) => {
+  let cursor = Product.find(filter).sort(sort).populate('categories', 'name slug');
+  if (paginate) cursor = cursor.skip((page - 1) * limit).limit(limit);
+
+  const [products, total] = await Promise.all([cursor, Product.countDocuments(filter)]);
+  if (!paginate) return { products, total };
+
+  return { products, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+// --- PRICING ---
+// Public responses show the price a customer pays right now. Sales and
+// promotions do not stack: the lowest of the regular, sale and promotion
+// prices wins. Filters and sorting keep using the regular prices.
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Windows are [startsAt, endsAt); a missing date leaves that side open
+const isRunning = (window, now) => (!window.startsAt || window.startsAt <= now) && (!window.endsAt || now < window.endsAt);
+
+/**
+ * Active promotions that have not ended yet, with their categories expanded
+ * to subcategories. Loaded once per public read and passed to priceProduct.
+ */
+const loadPricing = async (now = new Date()) => {
+  const [promotions, lastEnded] = await Promise.all([
+    Promotion.find({ active: true, endsAt: { $gt: now } }).lean(),
+    Promotion.findOne({ active: true, endsAt: { $lte: now } }).sort({ endsAt: -1 }).select('endsAt').lean(),
+  ]);
+
+  for (const promotion of promotions) {
+    const categoryIds = [];
+    for (const id of promotion.categories) categoryIds.push(...await getCategoryWithDescendants(id));
+    promotion.categoryIds = new Set(categoryIds.map(String));
+    promotion.productIds = new Set(promotion.products.map(String));
+  }
+  return { now, promotions, lastEndedAt: lastEnded ? lastEnded.endsAt : null };
+};
+
+const promotionApplies = (promotion, product) => promotion.productIds.has(String(product._id))
+  || (product.categories || []).some(c => promotion.categoryIds.has(String(c._id || c)));
+
+const discountedPrice = (promotion, price) => roundPrice(promotion.type === 'percentage'
+  ? price * (1 - promotion.value / 100)
+  : Math.max(0, price - promotion.value));
+
+const bestOffer = (price, offers) => offers.reduce(
+  (best, offer) => (offer.price < best.price ? offer : best),
+  { price, discount: null }
+);
+
+/**
+ * Adds originalPrice, effectivePrice and discount to a plain product object
+ * and each of its variants, plus effectivePriceRange. The sale itself is
+ * removed so upcoming sale prices are not shown early.
+ */
+const priceProduct = (obj, pricing) => {
+  const { now } = pricing;
+  const promotions = pricing.promotions.filter(p => isRunning(p, now) && promotionApplies(p, obj));
+  const promotionOffers = (price) => promotions.map(p => ({
+    price: discountedPrice(p, price),
+    discount: { type: 'promotion', promotion: p._id, name: p.name, endsAt: p.endsAt },
+  }));
+
+  const saleOffers = obj.sale && isRunning(obj.sale, now)
+    ? [{ price: obj.sale.price, discount: { type: 'sale', endsAt: obj.sale.endsAt } }]
+    : [];
+  const offer = bestOffer(obj.price, [...saleOffers, ...promotionOffers(obj.price)]);
+  Object.assign(obj, { originalPrice: obj.price, effectivePrice: offer.price, discount: offer.discount });
+  delete obj.sale;
+
+  for (const variant of obj.variants || []) {
+    const variantOffer = bestOffer(variant.price, promotionOffers(variant.price));
+    Object.assign(variant, { originalPrice: variant.price, effectivePrice: variantOffer.price, discount: variantOffer.discount });
+  }
+
+  const prices = obj.variants && obj.variants.length > 0 ? obj.variants.map(v => v.effectivePrice) : [obj.effectivePrice];
+  obj.effectivePriceRange = { min: Math.min(...prices), max: Math.max(...prices) };
+  return obj;
+};
+
+/**
+ * When the effective prices of these products last changed on their own and
+ * when they next will: sale and promotion starts and ends. Feeds
+ * Last-Modified and the cache expiry of public reads.
+ */
+const priceDates = (products, pricing) => {
+  const dates = [
+    ...pricing.promotions.flatMap(p => [p.startsAt, p.endsAt, p.updatedAt]),
+    ...products.flatMap(p => (p.sale ? [p.sale.startsAt, p.sale.endsAt] : [])),
+  ].filter(Boolean);
+
+  const upcoming = dates.filter(d => d > pricing.now).map(d => d.getTime());
+  return {
+    changed: [pricing.lastEndedAt, ...dates.filter(d => d <= pricing.now)],
+    next: upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null,
+  };
+};
+
+const toPublicProduct = (product, locale, pricing) => priceProduct(localize(product, 'product', locale), pricing);
+
+// --- NUMERATION ---
+// numeration is the storefront display order and unique among the products
+// that have one. New products get the next free number and trashed products
+// give theirs up. Renumbering runs in a transaction, so it needs a replica set
+// (MongoDB Atlas always is one).
+
+const isNumerationConflict = (error) => Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.numeration);
+
+// Product other than `exceptId` holding `numeration`, if any
+const findNumerationHolder = (numeration, exceptId) => Product
+  .findOne({ numeration, ...(exceptId ? { _id: { $ne: exceptId } } : {}) })
+  .select('name numeration');
+
+const sendNumerationConflict = async (req, res, numeration) => {
+  await discardUploads(req);
+  const product = await findNumerationHolder(numeration);
+  res.status(409).json({ error: "Numeration already in use", numeration, product });
+};
+
+const nextNumeration = async (session = null) => {
+  const last = await Product.findOne({ numeration: { $type: 'number' } })
+    .sort({ numeration: -1 })
+    .select('numeration')
+    .session(session);
+  return last ? last.numeration + 1 : 1;
+};
+
+// Products without a numeration get the next free one. Two concurrent saves
+// can pick the same number, so a conflict on an assigned number is retried.
+const saveWithNumeration = async (product) => {
+  if (product.numeration != null) return product.save();
+  for (let attempt = 1; ; attempt++) {
+    product.numeration = await nextNumeration();
+    try {
+      return await product.save();
+    } catch (error) {
+      if (!isNumerationConflict(error) || attempt >= 3) throw error;
+    }
+  }
+};
+
+// Negative numbers are never stored otherwise: products are parked on them
+// while numbers move, so the unique index never sees two on the same number
+const parkedNumeration = (target) => -1 - target;
+
+const unparkNumerations = (session) => Product.updateMany(
+  { numeration: { $lt: 0 } },
+  [{ $set: { numeration: { $subtract: [-1, '$numeration'] } } }],
+  { session }
+);
+
+// Adds `delta` to the numeration of every product matching `filter`
+const shiftNumerations = async (filter, delta, session) => {
+  await Product.updateMany(
+    filter,
+    [{ $set: { numeration: { $subtract: [-1, { $add: ['$numeration', delta] }] } } }],
+    { session }
+  );
+  await unparkNumerations(session);
+};
+
+/**
+ * Moves a product to `position`: the products from there on move up by one and
+ * the gap the product leaves behind is closed. A position past the end is
+ * clamped to the end.
+ */
+const insertAtNumeration = (productId, position) => mongoose.connection.transaction(async (session) => {
+  const product = await Product.findById(productId).select('numeration').session(session);
+  if (product.numeration != null) {
+    await Product.updateOne({ _id: productId }, { $unset: { numeration: 1 } }, { session });
+    await shiftNumerations({ numeration: { $gt: product.numeration } }, -1, session);
+  }
+  const target = Math.min(position, await nextNumeration(session));
+  await shiftNumerations({ numeration: { $gte: target } }, 1, session);
+  await Product.updateOne({ _id: productId }, { $set: { numeration: target } }, { session });
+});
+
+// id -> numeration of every numbered product, to find what a renumbering touched
+const getNumerations = async () => {
+  const products = await Product.find({ numeration: { $type: 'number' } }).select('numeration').lean();
+  return new Map(products.map(p => [p._id.toString(), p.numeration]));
+};
+
+// One audit entry per product whose number changed since `previous`
+const recordNumerationChanges = async (req, previous, meta) => {
+  const current = await getNumerations();
+  const changedIds = [...new Set([...previous.keys(), ...current.keys()])]
+    .filter(id => previous.get(id) !== current.get(id));
+
+  const products = await Product.find({ _id: { $in: changedIds } }).sort(PRODUCT_SORTS.numeration);
+  for (const product of products) {
+    const after = toAuditSnapshot(product);
+    const before = { ...after, numeration: previous.get(product._id.toString()) };
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after, meta });
+  }
+  return products;
+};
+
+// Products saved before numerations were unique may share one; the unique index
+// is only built once PUT /products/numeration has renumbered them, see NUMERATION_INDEX
+const ensureNumerationIndex = async () => {
+  const released = await Product.updateMany(
+    { deletedAt: { $ne: null }, numeration: { $type: 'number' } },
+    { $unset: { numeration: 1 } }
+  );
+  if (released.modifiedCount > 0) logger.info(`Released the numeration of ${released.modifiedCount} trashed products`);
+
+  const [duplicates] = await Product.aggregate([
+    { $match: { numeration: { $type: 'number' } } },
+    { $group: { _id: '$numeration', count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $count: 'numerations' },
+  ]);
+  if (duplicates) {
+    logger.warn(`${duplicates.numerations} numerations are shared by several products. Send PUT /products/numeration to renumber the catalog.`);
+    return;
+  }
+  await Product.collection.createIndex(...NUMERATION_INDEX);
+};
+
+const reorderBody = z.object({
+  productIds: z.array(zObjectId()).refine(ids => new Set(ids).size === ids.length, 'Must not list a product twice'),
+});
+
+/**
+ * The listed products are numbered 1, 2, 3... in that order and every other
+ * numbered product follows in its current order. An empty list just closes
+ * the gaps. Registered before /products/:id so "numeration" is not taken for an id.
+ */
+app.put("/products/numeration", checkDbConnection, requireRole('editor'), validate({ body: reorderBody }), async (req, res) => {
+  try {
+    const { productIds } = req.body;
+    const listed = await Product.find({ _id: { $in: productIds }, deletedAt: null }).select('_id');
+    if (listed.length !== productIds.length) {
+      const found = new Set(listed.map(p => p._id.toString()));
+      const missing = productIds.filter(id => !found.has(id));
+      return sendValidationError(req, res, [{ location: 'body', field: 'productIds', message: `Unknown or trashed products: ${missing.join(', ')}` }]);
+    }
+
+    const previous = await getNumerations();
+    await mongoose.connection.transaction(async (session) => {
+      const others = await Product.find({ _id: { $nin: productIds }, numeration: { $type: 'number' } })
+        .sort(PRODUCT_SORTS.numeration)
+        .select('_id')
+        .session(session);
+      const order = [...productIds, ...others.map(p => p._id)];
+      if (order.length === 0) return;
+
+      await Product.bulkWrite(order.map((id, i) => ({
+        updateOne: { filter: { _id: id }, update: { $set: { numeration: parkedNumeration(i + 1) } } },
+      })), { session });
+      await unparkNumerations(session);
+    });
+
+    const changed = await recordNumerationChanges(req, previous, { reorder: true });
+    await ensureNumerationIndex();
+    req.log.info(`Renumbered products (${changed.length} changed)`);
+    res.json({
+      message: "Products renumbered successfully",
+      changed: changed.map(p => ({ _id: p._id, name: p.name, numeration: p.numeration })),
+    });
+  } catch (error) {
+    req.log.error('Error renumbering products', { err: error });
+    res.status(500).json({ error: "Failed to renumber products", details: error.message });
+  }
+});
+
+// Every unknown id or slug is reported, e.g. "Unknown categories: lamps, 64f0..."
+const unknownCategoriesError = (missing) => ({ location: 'body', field: 'categories', message: `Unknown categories: ${missing.join(', ')}` });
+
+app.post("/products/upload", checkDbConnection, requireRole('editor'), uploadLimiter, uploadImage.fields([
+  { name: 'mainImage', maxCount: 1 },
+  { name: 'otherPhotos', maxCount: 10 }
+]), validate({ body: createProductBody, files: ['mainImage'] }), async (req, res) => {
+  try {
+    const { name, price, numeration, description, classifications, categories, status, statusNote, expectedArrival } = req.body;
+
+    const mainImage = storage.toAsset(req.files.mainImage[0]);
+    const otherPhotos = (req.files.otherPhotos || []).map(storage.toAsset);
+
+    const productData = {
+      name,
+      price,
+      mainImage: mainImage.url,
+      mainImagePublicId: mainImage.publicId,
+      otherPhotos: otherPhotos.map(a => a.url),
+      otherPhotosPublicIds: otherPhotos.map(a => a.publicId),
+      description,
+      classifications,
+    };
+
+    if (numeration !== undefined) productData.numeration = numeration;
+
+    if (categories !== undefined) {
+      const { ids, missing } = await resolveCategoryIds(categories);
+      if (missing.length > 0) return sendValidationError(req, res, [unknownCategoriesError(missing)]);
+      productData.categories = ids;
+    }
+
+    if (status) productData.status = status;
+    if (statusNote) productData.statusNote = statusNote;
+    if (expectedArrival) productData.expectedArrival = expectedArrival;
+
+    const newProduct = new Product(productData);
+    await saveWithNumeration(newProduct);
+    await recordAudit({ req, entity: 'product', entityId: newProduct._id, action: 'create', before: null, after: newProduct });
+    req.log.info(`Product created: ${newProduct._id} (numeration: ${newProduct.numeration})`);
+    res.status(201).json({ message: "Product created successfully!", product: newProduct });
+  } catch (error) {
+    if (isNumerationConflict(error)) return sendNumerationConflict(req, res, error.keyValue.numeration);
+    await discardUploads(req);
+    req.log.error('Error creating product', { err: error });
+    res.status(500).json({ error: "Failed to create product", details: error.message });
+  }
+});
+
+app.get("/products", checkDbConnection, validate({ query: productListQuery }), async (req, res) => {
+  try {
+    let queryError = null;
+    const sent = await sendCachedJson(req, res, async () => {
+      const query = await buildProductQuery(req.query);
+      if (query.error) {
+        queryError = query.error;
+        return null;
+      }
+
+      const locale = getReadLocale(req);
+      const [result, pricing] = await Promise.all([runProductQuery(query), loadPricing()]);
+      const prices = priceDates(result.products, pricing);
+      return {
+        body: { ...result, products: result.products.map(p => toPublicProduct(p, locale, pricing)) },
+        lastModified: latestDate([lastCatalogChange, ...prices.changed, ...result.products.map(p => p.updatedAt)]),
+        expiresAt: prices.next,
+      };
+    });
+    if (!sent) return sendValidationError(req, res, [queryError]);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch products" });
+  }
+});
+
+// --- TRASH ---
+
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const purgeProduct = async (product, req, reason = 'manual') => {
+  await destroyAsset(product.mainImagePublicId);
+  for (const publicId of product.otherPhotosPublicIds) {
+    await destroyAsset(publicId);
+  }
+  for (const variant of product.variants) {
+    await destroyAsset(variant.imagePublicId);
+  }
+
+  await Product.findByIdAndDelete(product._id);
+  await recordAudit({ req, entity: 'product', entityId: product._id, action: 'purge', before: product, after: null, meta: { reason } });
+  logger.info(`Product purged: ${product._id} (${reason})`);
+};
+
+// Run periodically by startServer
+const purgeExpiredTrash = async () => {
+  if (TRASH_RETENTION_DAYS <= 0 || mongoose.connection.readyState !== 1) return;
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await Product.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const product of expired) {
+    await purgeProduct(product, null, 'retention');
+  }
+};
+
+// Registered before /products/:id so "trash" is not taken for an id
+app.get("/products/trash", checkDbConnection, requireRole('editor'), validate({ query: z.object(paginationQuery(50)) }), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { deletedAt: { $ne: null } };
+    const [products, total] = await Promise.all([
+      Product.find(filter).sort({ deletedAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      Product.countDocuments(filter),
+    ]);
+
+    res.json({
+      products: products.map(p => ({
+        ...p.toJSON(),
+        purgeAt: TRASH_RETENTION_DAYS > 0 ? getPurgeDate(p.deletedAt) : null,
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      retentionDays: TRASH_RETENTION_DAYS,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+// --- IMPORT / EXPORT ---
+// Registered before /products/:id so "export" is not taken for an id
+
+const PRODUCT_EXPORT_FIELDS = [
+  '_id', 'numeration', 'name', 'price', 'sale', 'description', 'translations', 'classifications', 'categories',
+  'status', 'statusNote', 'expectedArrival', 'stock', 'mainImage', 'mainImagePublicId',
+  'otherPhotos', 'otherPhotosPublicIds', 'variants', 'uploadDate', 'createdAt', 'updatedAt',
+];
+
+// Separates array values inside a single CSV cell
+const CSV_LIST_SEPARATOR = '|';
+
+// Spreadsheets run cells starting with = + - @ as formulas, so those are
+// exported behind a ' and parseCsv takes it off again. Cells that already
+// start with ' before such a character get one more, keeping it reversible.
+const CSV_FORMULA_CELL = /^'*[=+\-@]/;
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let str;
+  if (value instanceof Date) str = value.toISOString();
+  else if (Array.isArray(value) && !value.some(isPlainObject)) str = value.join(CSV_LIST_SEPARATOR);
+  else if (typeof value === 'object') str = JSON.stringify(value);
+  else str = String(value);
+  if (CSV_FORMULA_CELL.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const fromCsvValue = (cell) => (cell.startsWith("'") && CSV_FORMULA_CELL.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+// RFC 4180: quoted fields may contain commas, line breaks and "" escapes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const keys = header.map(h => h.trim());
+  return records.map(r => Object.fromEntries(keys.map((key, i) => [key, fromCsvValue(r[i] ?? '')])));
+};
+
+const productToExportRow = (product, categorySlugById) => ({
+  ...Object.fromEntries(PRODUCT_EXPORT_FIELDS.map(field => [field, product[field]])),
+  _id: product._id.toString(),
+  categories: (product.categories || []).map(id => categorySlugById.get(id.toString()) || id.toString()),
+});
+
+// JSON rows may use real arrays, CSV rows use "a|b|c"
+const parseImportList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value).split(CSV_LIST_SEPARATOR).map(v => v.trim()).filter(Boolean);
+};
+
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+// Empty cells are treated as "not provided" and leave existing values alone
+const importCell = (schema) => z.preprocess(v => (isProvided(v) ? v : undefined), schema.optional());
+const importText = () => z.coerce.string();
+const importList = () => z.preprocess(parseImportList, z.array(z.string()));
+
+// The exported sale object (or its JSON), checked against the price like PUT /products/:id/sale
+const importSale = () => z.preprocess(fromJson, z.object({
+  price: productFields.price,
+  startsAt: importCell(zDate()),
+  endsAt: importCell(zDate()),
+}).refine(sale => !sale.startsAt || !sale.endsAt || sale.startsAt < sale.endsAt, { message: 'Must be after startsAt', path: ['endsAt'] })
+  .transform(({ price, startsAt = null, endsAt = null }) => ({ price, startsAt, endsAt })));
+
+// Same rules as POST /products/upload; translations is an object (or its JSON) keyed by locale.
+// variants and stock are exported for reference only: they change through their own routes.
+const importRowSchema = z.object({
+  _id: importCell(zObjectId()),
+  name: importCell(productFields.name),
+  price: importCell(productFields.price),
+  sale: importCell(importSale()),
+  numeration: importCell(productFields.numeration),
+  description: importCell(importText()),
+  classifications: importCell(importText().pipe(productFields.classifications)),
+  categories: importCell(importList()),
+  status: importCell(productFields.status),
+  statusNote: importCell(importText().pipe(productFields.statusNote)),
+  expectedArrival: importCell(productFields.expectedArrival),
+  translations: importCell(z.preprocess(
+    fromJson,
+    z.record(
+      z.enum(SUPPORTED_LOCALES),
+      z.object(Object.fromEntries(TRANSLATABLE_FIELDS.product.map(field => [field, importCell(importText())])))
+    )
+  )),
+  mainImage: importCell(importText()),
+  mainImagePublicId: importCell(importText()),
+  otherPhotos: importCell(importList()),
+  otherPhotosPublicIds: importCell(importList()),
+}).superRefine((row, ctx) => {
+  if (row.otherPhotos === undefined && row.otherPhotosPublicIds === undefined) return;
+  const photos = row.otherPhotos || [];
+  const publicIds = row.otherPhotosPublicIds || [];
+  if (photos.length !== publicIds.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['otherPhotos'], message: 'otherPhotos and otherPhotosPublicIds must have the same length' });
+  } else if (photos.length > MAX_OTHER_PHOTOS) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['otherPhotos'], message: `A product can have at most ${MAX_OTHER_PHOTOS} other photos` });
+  }
+});
+
+const toRowErrors = (errors) => Object.entries(errors || {}).map(([field, err]) => ({ field, message: err.message }));
+
+/**
+ * Validates one import row with importRowSchema and resolves its categories.
+ * Returns { id, data, errors } where errors use the { field, message } format.
+ */
+const parseImportRow = async (row) => {
+  const result = importRowSchema.safeParse(row);
+  if (!result.success) {
+    const errors = result.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message }));
+    return { id: isProvided(row._id) ? String(row._id) : undefined, data: {}, errors };
+  }
+
+  const { _id: id, ...fields } = result.data;
+  const data = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  if (data.otherPhotos || data.otherPhotosPublicIds) {
+    data.otherPhotos = data.otherPhotos || [];
+    data.otherPhotosPublicIds = data.otherPhotosPublicIds || [];
+  }
+
+  const errors = [];
+  if (data.categories) {
+    const { ids, missing } = await resolveCategoryIds(data.categories);
+    if (missing.length > 0) errors.push({ field: 'categories', message: `Unknown categories: ${missing.join(', ')}` });
+    else data.categories = ids;
+  }
+
+  return { id, data, errors };
+};
+
+// Upserts by _id, then by numeration. New rows without a numeration get the next
+// free one. Nothing is written when dryRun is set.
+const importProductRow = async (row, dryRun, req) => {
+  const { id, data, errors } = await parseImportRow(row);
+  if (errors.length > 0) return { action: 'failed', id, errors };
+
+  let existing = null;
+  if (id) existing = await Product.findById(id);
+  else if (data.numeration !== undefined) existing = await Product.findOne({ numeration: data.numeration, deletedAt: null });
+
+  if (existing && existing.deletedAt) {
+    return { action: 'failed', id: existing._id, errors: [{ field: '_id', message: 'Product is in the trash, restore it first' }] };
+  }
+
+  if (data.sale) {
+    const price = data.price !== undefined ? data.price : existing && existing.price;
+    const saleError = existing && existing.variants.length > 0 ? 'Products with variants are discounted through promotions'
+      : price !== undefined && data.sale.price >= price ? `Must be below the regular price (${price})`
+      : null;
+    if (saleError) return { action: 'failed', id: existing ? existing._id : id, errors: [{ field: 'sale.price', message: saleError }] };
+  }
+
+  if (data.numeration !== undefined) {
+    const holder = await findNumerationHolder(data.numeration, existing ? existing._id : id);
+    if (holder) {
+      return { action: 'failed', id: existing ? existing._id : id, errors: [{ field: 'numeration', message: `Already used by product ${holder._id}` }] };
+    }
+  }
+
+  if (existing) {
+    const before = toAuditSnapshot(existing);
+    const changes = Object.keys(data).filter(
+      field => JSON.stringify(before[field]) !== JSON.stringify(data[field])
+    );
+    if (changes.length === 0) return { action: 'unchanged', id: existing._id };
+
+    for (const field of changes) existing.set(field, data[field]);
+    try {
+      await existing.validate();
+    } catch (e) {
+      return { action: 'failed', id: existing._id, errors: toRowErrors(e.errors) };
+    }
+    if (!dryRun) {
+      await existing.save();
+      await recordAudit({ req, entity: 'product', entityId: existing._id, action: 'update', before, after: existing, meta: { source: 'import' } });
+    }
+    return { action: 'updated', id: existing._id, changes };
+  }
+
+  const missing = ['name', 'price', 'mainImage', 'mainImagePublicId'].filter(field => data[field] === undefined);
+  if (missing.length > 0) {
+    return { action: 'failed', id, errors: missing.map(field => ({ field, message: 'Required for new products' })) };
+  }
+
+  const product = new Product(id ? { ...data, _id: id } : data);
+  try {
+    await product.validate();
+  } catch (e) {
+    return { action: 'failed', id, errors: toRowErrors(e.errors) };
+  }
+  if (!dryRun) {
+    await saveWithNumeration(product);
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'create', before: null, after: product, meta: { source: 'import' } });
+  }
+  return { action: 'created', id: product._id };
+};
+
+const exportQuery = z.object({ format: optional(z.enum(['json', 'csv'])).transform(format => format ?? 'json') });
+
+app.get("/products/export", checkDbConnection, requireRole('editor'), validate({ query: exportQuery }), async (req, res) => {
+  const { format } = req.query;
+  try {
+    const categories = await Category.find({}, { slug: 1 }).lean();
+    const categorySlugById = new Map(categories.map(c => [c._id.toString(), c.slug]));
+    const cursor = Product.find({ deletedAt: null }).sort({ numeration: 1, uploadDate: -1 }).lean().cursor();
+
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let count = 0;
+    if (format === 'csv') {
+      res.write(PRODUCT_EXPORT_FIELDS.join(',') + '\n');
+      for await (const product of cursor) {
+        const row = productToExportRow(product, categorySlugById);
+        res.write(PRODUCT_EXPORT_FIELDS.map(field => toCsvValue(row[field])).join(',') + '\n');
+        count++;
+      }
+    } else {
+      res.write('[');
+      for await (const product of cursor) {
+        res.write((count > 0 ? ',\n' : '\n') + JSON.stringify(productToExportRow(product, categorySlugById)));
+        count++;
+      }
+      res.write('\n]\n');
+    }
+
+    res.end();
+    req.log.info(`Exported ${count} products as ${format}`);
+  } catch (error) {
+    req.log.error('Error exporting products', { err: error });
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: "Failed to export products", details: error.message });
+  }
+});
+
+/**
+ * Accepts a JSON array (or { products: [...] }) or a text/csv body in the
+ * export format. ?dryRun=true validates and reports without writing.
+ */
+app.post("/products/import", checkDbConnection, requireRole('editor'), express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }), validate({ query: dryRunInput }), async (req, res) => {
+  try {
+    const { dryRun } = req.query;
+
+    let rows;
+    if (req.is('text/csv')) {
+      rows = parseCsv(typeof req.body === 'string' ? req.body : '');
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body.products;
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return sendValidationError(req, res, [{ location: 'body', field: '', message: 'Send a non-empty JSON array of products or a text/csv body' }]);
+    }
+
+    const results = [];
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i] && typeof rows[i] === 'object' ? rows[i] : {};
+      try {
+        results.push({ row: i + 1, ...(await importProductRow(row, dryRun, req)) });
+      } catch (e) {
+        results.push({ row: i + 1, action: 'failed', errors: [{ field: '', message: e.message }] });
+      }
+    }
+
+    const summary = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+    for (const r of results) summary[r.action]++;
+
+    req.log.info(`Product import${dryRun ? ' (dry run)' : ''}: ${JSON.stringify(summary)}`);
+    res.json({
+      message: dryRun ? "Dry run complete, nothing was written" : "Import complete",
+      dryRun,
+      summary,
+      rows: results,
+    });
+  } catch (error) {
+    req.log.error('Error importing products', { err: error });
+    res.status(500).json({ error: "Failed to import products", details: error.message });
+  }
+});
+
+app.get("/products/:id", checkDbConnection, validate({ params: idParams, query: readLocaleQuery }), async (req, res) => {
+  try {
+    const sent = await sendCachedJson(req, res, async () => {
+      const product = await findActiveProduct(req.params.id).populate('categories', 'name slug');
+      if (!product) return null;
+      const pricing = await loadPricing();
+      const prices = priceDates([product], pricing);
+      return {
+        body: { product: toPublicProduct(product, getReadLocale(req), pricing) },
+        lastModified: latestDate([product.updatedAt, ...prices.changed]),
+        expiresAt: prices.next,
+      };
+    });
+    if (!sent) return res.status(404).json({ error: "Product not found" });
+    await recordProductView(req, req.params.id);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch product" });
+  }
+});
+
+app.put("/products/:id", checkDbConnection, requireRole('editor'), uploadLimiter, uploadImage.fields([
+  { name: 'mainImage', maxCount: 1 },
+  { name: 'otherPhotos', maxCount: 10 }
+]), validate({ params: idParams, query: writeLocaleQuery, body: updateProductBody }), async (req, res) => {
+  try {
+    const { name, price, numeration, description, classifications, categories, status, statusNote, expectedArrival } = req.body;
+    const locale = getWriteLocale(req);
+
+    const product = await findActiveProduct(req.params.id);
+    if (!product) {
+      await discardUploads(req);
+      return res.status(404).json({ error: "Product not found" });
+    }
+    const before = toAuditSnapshot(product);
+
+    // Checked before any image is replaced
+    if (numeration != null && await findNumerationHolder(numeration, product._id)) {
+      return sendNumerationConflict(req, res, numeration);
+    }
+
+    if (name !== undefined) setLocalizedField(product, 'name', name, locale);
+    if (price !== undefined) product.price = price;
+    // null removes the numeration
+    if (numeration !== undefined) product.numeration = numeration ?? undefined;
+    if (description !== undefined) setLocalizedField(product, 'description', description, locale);
+    if (classifications !== undefined) product.classifications = classifications;
+    if (categories !== undefined) {
+      const { ids, missing } = await resolveCategoryIds(categories);
+      if (missing.length > 0) return sendValidationError(req, res, [unknownCategoriesError(missing)]);
+      product.categories = ids;
+    }
+    if (status !== undefined) product.status = status;
+    if (statusNote !== undefined) product.statusNote = statusNote;
+    if (expectedArrival !== undefined) product.expectedArrival = expectedArrival;
+
+    // Replaced files are only destroyed once the save went through
+    const replaced = [];
+    if (req.files && req.files.mainImage) {
+      replaced.push(product.mainImagePublicId);
+      const asset = storage.toAsset(req.files.mainImage[0]);
+      product.mainImage = asset.url;
+      product.mainImagePublicId = asset.publicId;
+    }
+
+    if (req.files && req.files.otherPhotos) {
+      replaced.push(...product.otherPhotosPublicIds);
+      const otherPhotos = req.files.otherPhotos.map(storage.toAsset);
+      product.otherPhotos = otherPhotos.map(a => a.url);
+      product.otherPhotosPublicIds = otherPhotos.map(a => a.publicId);
+    }
+
+    await product.save();
+    for (const publicId of replaced) {
+      await destroyAsset(publicId);
+    }
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    req.log.info(`Product updated: ${req.params.id}${product.numeration !== undefined ? ` (numeration: ${product.numeration})` : ''}`);
+    res.json({ message: "Product updated successfully", product });
+  } catch (error) {
+    if (isNumerationConflict(error)) return sendNumerationConflict(req, res, error.keyValue.numeration);
+    await discardUploads(req);
+    req.log.error('Error updating product', { err: error });
+    res.status(500).json({ error: "Failed to update product" });
+  }
+});
+
+const productStatusBody = z.object({
+  status: optional(productFields.status),
+  statusNote: productFields.statusNote.optional(),
+  expectedArrival: clearable(productFields.expectedArrival),
+});
+
+app.patch("/products/:id/status", checkDbConnection, requireRole('editor'), validate({ params: idParams, body: productStatusBody }), async (req, res) => {
+  try {
+    const { status, statusNote, expectedArrival } = req.body;
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const before = toAuditSnapshot(product);
+
+    if (status !== undefined) product.status = status;
+    if (statusNote !== undefined) product.statusNote = statusNote;
+    if (expectedArrival !== undefined) product.expectedArrival = expectedArrival;
+
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    res.json({ message: "Product status updated successfully", product });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update product status" });
+  }
+});
+
+// 🆕 NEW ENDPOINT TO UPDATE JUST NUMERATION
+/**
+ * mode "set" (default) takes a free number and answers 409 when it is in use;
+ * omitting numeration (or sending it empty) removes it. mode "insert" moves the
+ * product to that position and shifts the following products, see insertAtNumeration.
+ */
+const productNumerationBody = z.object({
+  numeration: clearable(productFields.numeration),
+  mode: optional(z.enum(['set', 'insert'])).transform(mode => mode ?? 'set'),
+}).refine(body => body.mode !== 'insert' || body.numeration != null, { message: 'Required in insert mode', path: ['numeration'] });
+
+app.patch("/products/:id/numeration", checkDbConnection, requireRole('editor'), validate({ params: idParams, body: productNumerationBody }), async (req, res) => {
+  try {
+    const { numeration, mode } = req.body;
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    if (mode === 'insert') {
+      const previous = await getNumerations();
+      await insertAtNumeration(product._id, numeration);
+      const changed = await recordNumerationChanges(req, previous, { insertAt: numeration });
+      const updated = await Product.findById(product._id);
+      req.log.info(`Product ${req.params.id} inserted at numeration ${updated.numeration} (${changed.length} products renumbered)`);
+      return res.json({
+        message: "Product numeration updated successfully",
+        product: updated,
+        changed: changed.map(p => ({ _id: p._id, name: p.name, numeration: p.numeration })),
+      });
+    }
+
+    const before = toAuditSnapshot(product);
+    product.numeration = numeration ?? undefined;
+
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    req.log.info(`Product numeration updated: ${req.params.id} → ${product.numeration ?? 'removed'}`);
+    res.json({ message: "Product numeration updated successfully", product });
+  } catch (error) {
+    if (isNumerationConflict(error)) return sendNumerationConflict(req, res, error.keyValue.numeration);
+    req.log.error('Error updating numeration', { err: error });
+    res.status(500).json({ error: "Failed to update product numeration" });
+  }
+});
+
+// --- GALLERY ---
+// otherPhotos and otherPhotosPublicIds are parallel arrays; every route below
+// rewrites both together. Public ids contain a "/" so clients must URL-encode them.
+
+const setGallery = (product, photos) => {
+  product.otherPhotos = photos.map(p => p.url);
+  product.otherPhotosPublicIds = photos.map(p => p.publicId);
+};
+
+const getGallery = (product) => product.otherPhotosPublicIds.map((publicId, i) => ({
+  publicId,
+  url: product.otherPhotos[i],
+}));
+
+const photoParams = z.object({ id: zObjectId(), publicId: z.string().min(1) });
+
+app.post("/products/:id/photos", checkDbConnection, requireRole('editor'), uploadLimiter, uploadImage.array('otherPhotos', MAX_OTHER_PHOTOS), validate({ params: idParams, files: ['otherPhotos'] }), async (req, res) => {
+  const files = req.files;
+  const uploaded = files.map(storage.toAsset);
+
+  try {
+    const product = await findActiveProduct(req.params.id);
+    if (!product) {
+      await discardUploads(req);
+      return res.status(404).json({ error: "Product not found" });
+    }
+    const before = toAuditSnapshot(product);
+
+    const gallery = getGallery(product);
+    if (gallery.length + files.length > MAX_OTHER_PHOTOS) {
+      return sendValidationError(req, res, [{
+        location: 'files',
+        field: 'otherPhotos',
+        message: `A product can have at most ${MAX_OTHER_PHOTOS} other photos, ${MAX_OTHER_PHOTOS - gallery.length} more can be added`,
+      }]);
+    }
+
+    setGallery(product, [...gallery, ...uploaded]);
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    req.log.info(`Added ${files.length} photos to product ${req.params.id}`);
+    res.status(201).json({ message: "Photos added successfully", product });
+  } catch (error) {
+    req.log.error('Error adding photos', { err: error });
+    await discardUploads(req);
+    res.status(500).json({ error: "Failed to add photos", details: error.message });
+  }
+});
+
+app.delete("/products/:id/photos/:publicId", checkDbConnection, requireRole('editor'), validate({ params: photoParams }), async (req, res) => {
+  try {
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const before = toAuditSnapshot(product);
+
+    const gallery = getGallery(product);
+    if (!gallery.some(p => p.publicId === req.params.publicId)) {
+      return res.status(404).json({ error: "Photo not found" });
+    }
+
+    setGallery(product, gallery.filter(p => p.publicId !== req.params.publicId));
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    await destroyAsset(req.params.publicId);
+    req.log.info(`Removed photo ${req.params.publicId} from product ${req.params.id}`);
+    res.json({ message: "Photo deleted successfully", product });
+  } catch (error) {
+    req.log.error('Error deleting photo', { err: error });
+    res.status(500).json({ error: "Failed to delete photo", details: error.message });
+  }
+});
+
+// Lists every current gallery photo in the new order
+const photoOrderBody = z.object({ publicIds: z.array(z.string()) });
+
+app.put("/products/:id/photos/order", checkDbConnection, requireRole('editor'), validate({ params: idParams, body: photoOrderBody }), async (req, res) => {
+  try {
+    const { publicIds } = req.body;
+
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const before = toAuditSnapshot(product);
+
+    const gallery = getGallery(product);
+    const byPublicId = new Map(gallery.map(p => [p.publicId, p]));
+    const isPermutation = publicIds.length === gallery.length
+      && new Set(publicIds).size === publicIds.length
+      && publicIds.every(id => byPublicId.has(id));
+    if (!isPermutation) {
+      return sendValidationError(req, res, [{
+        location: 'body',
+        field: 'publicIds',
+        message: `Must contain every gallery photo exactly once: ${product.otherPhotosPublicIds.join(', ')}`,
+      }]);
+    }
+
+    setGallery(product, publicIds.map(id => byPublicId.get(id)));
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    req.log.info(`Reordered gallery of product ${req.params.id}`);
+    res.json({ message: "Photos reordered successfully", product });
+  } catch (error) {
+    req.log.error('Error reordering photos', { err: error });
+    res.status(500).json({ error: "Failed to reorder photos", details: error.message });
+  }
+});
+
+// Swaps a gallery photo with the main image, so nothing is destroyed
+app.post("/products/:id/photos/:publicId/promote", checkDbConnection, requireRole('editor'), validate({ params: photoParams }), async (req, res) => {
+  try {
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const before = toAuditSnapshot(product);
+
+    const gallery = getGallery(product);
+    const index = gallery.findIndex(p => p.publicId === req.params.publicId);
+    if (index === -1) return res.status(404).json({ error: "Photo not found" });
+
+    const promoted = gallery[index];
+    gallery[index] = { url: product.mainImage, publicId: product.mainImagePublicId };
+    product.mainImage = promoted.url;
+    product.mainImagePublicId = promoted.publicId;
+    setGallery(product, gallery);
+
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    req.log.info(`Promoted photo ${promoted.publicId} to main image of product ${req.params.id}`);
+    res.json({ message: "Photo promoted to main image successfully", product });
+  } catch (error) {
+    req.log.error('Error promoting photo', { err: error });
+    res.status(500).json({ error: "Failed to promote photo", details: error.message });
+  }
+});
+
+const historyQuery = z.object(paginationQuery(50));
+
+app.get("/products/:id/history", checkDbConnection, requireRole('editor'), validate({ params: idParams, query: historyQuery }), async (req, res) => {
+  try {
+    // Still available after the product itself was deleted
+    res.json(await fetchAuditEntries({ entity: 'product', entityId: req.params.id }, req.query));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch product history" });
+  }
+});
+
+app.post("/products/:id/history/:revision/restore", checkDbConnection, requireRole('editor'), validate({ params: revisionParams({ id: zObjectId() }) }), async (req, res) => {
+  try {
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const entry = await AuditEntry.findOne({ entity: 'product', entityId: product._id, revision: req.params.revision });
+    if (!entry || !entry.snapshot) return res.status(404).json({ error: "Revision not found" });
+
+    const before = toAuditSnapshot(product);
+    applyRevision(product, 'product', entry.snapshot);
+    // Drop categories deleted since that revision
+    const existingCategories = await Category.find({ _id: { $in: product.categories } }, { _id: 1 });
+    product.categories = existingCategories.map(c => c._id);
+
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'restore', before, after: product, meta: { restoredRevision: entry.revision } });
+    req.log.info(`Product ${product._id} restored to revision ${entry.revision}`);
+    res.json({ message: "Product restored successfully", restoredRevision: entry.revision, product });
+  } catch (error) {
+    // The revision's number has been given to another product since
+    if (isNumerationConflict(error)) return sendNumerationConflict(req, res, error.keyValue.numeration);
+    req.log.error('Error restoring product', { err: error });
+    res.status(500).json({ error: "Failed to restore product", details: error.message });
+  }
+});
+
+// --- STOCK ---
+
+// Status that follows from a stock change; manual statuses like discontinued are kept
+const statusForStock = (product, type) => {
+  if (product.status === 'discontinued') return product.status;
+  if (product.stock === 0) return 'out_of_stock';
+  if (type === 'received' && product.stock > 0) return 'available';
+  return product.status;
+};
+
+// received and sold take a positive quantity, adjusted a signed one and needs a reason
+const stockMovementBody = z.object({
+  type: z.enum(STOCK_MOVEMENT_TYPES),
+  quantity: zNumber(z.number().int().refine(q => q !== 0, 'Must not be zero')),
+  reason: z.string().trim().default(''),
+}).superRefine((body, ctx) => {
+  if (body.type !== 'adjusted' && body.quantity < 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['quantity'], message: `Must be positive for ${body.type} movements` });
+  }
+  if (body.type === 'adjusted' && !body.reason) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['reason'], message: 'Required for adjustments' });
+  }
+});
+
+app.post("/products/:id/stock/movements", checkDbConnection, requireRole('editor'), validate({ params: idParams, body: stockMovementBody }), async (req, res) => {
+  try {
+    const { type, quantity, reason } = req.body;
+
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const before = toAuditSnapshot(product);
+
+    const delta = type === 'sold' ? -quantity : quantity;
+    // Atomic so two concurrent sales can never take the stock below zero
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, deletedAt: null, ...(delta < 0 ? { stock: { $gte: -delta } } : {}) },
+      { $inc: { stock: delta } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ error: "Insufficient stock", stock: product.stock || 0 });
+    }
+
+    const newStatus = statusForStock(updated, type);
+    if (newStatus !== updated.status) {
+      updated.status = newStatus;
+      await updated.save();
+      req.log.info(`Product ${updated._id} status → ${newStatus} (stock ${updated.stock})`);
+    }
+
+    const movement = await StockMovement.create({
+      product: updated._id,
+      type,
+      quantity: delta,
+      reason,
+      stockBefore: updated.stock - delta,
+      stockAfter: updated.stock,
+      actor: { id: req.admin._id, username: req.admin.username },
+    });
+    await recordAudit({ req, entity: 'product', entityId: updated._id, action: 'update', before, after: updated, meta: { stockMovement: movement._id } });
+
+    req.log.info(`Stock ${type} ${delta > 0 ? '+' : ''}${delta} for product ${updated._id} → ${updated.stock}`);
+    res.status(201).json({ message: "Stock movement recorded", movement, product: updated });
+  } catch (error) {
+    req.log.error('Error recording stock movement', { err: error });
+    res.status(500).json({ error: "Failed to record stock movement", details: error.message });
+  }
+});
+
+app.get("/products/:id/stock/movements", checkDbConnection, requireRole('editor'), validate({ params: idParams, query: historyQuery }), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { product: req.params.id };
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      StockMovement.countDocuments(filter),
+    ]);
+    res.json({ movements, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch stock movements" });
+  }
+});
+
+// Moves the product to the trash. Images are kept until it is purged.
+app.delete("/products/:id", checkDbConnection, requireRole('owner'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const before = toAuditSnapshot(product);
+
+    product.deletedAt = new Date();
+    // Frees the number for other products; a restored product gets a new one
+    product.numeration = undefined;
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'delete', before, after: product });
+    req.log.info(`Product moved to trash: ${req.params.id}`);
+    res.json({
+      message: "Product moved to trash",
+      purgeAt: TRASH_RETENTION_DAYS > 0 ? getPurgeDate(product.deletedAt) : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete product" });
+  }
+});
+
+app.post("/products/:id/restore", checkDbConnection, requireRole('editor'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!product) return res.status(404).json({ error: "Product not found in trash" });
+    const before = toAuditSnapshot(product);
+
+    product.deletedAt = null;
+    await saveWithNumeration(product);
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'restore', before, after: product, meta: { fromTrash: true } });
+    req.log.info(`Product restored from trash: ${req.params.id}`);
+    res.json({ message: "Product restored successfully", product });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to restore product" });
+  }
+});
+
+// Permanent: the only place where a product's images are destroyed
+app.delete("/products/:id/purge", checkDbConnection, requireRole('owner'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!product) return res.status(404).json({ error: "Product not found in trash" });
+
+    await purgeProduct(product, req);
+    res.json({ message: "Product permanently deleted" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to purge product" });
+  }
+});
+
+const statusParams = z.object({ status: productFields.status });
+
+app.get("/products/status/:status", checkDbConnection, validate({ params: statusParams, query: productListQuery }), async (req, res) => {
+  try {
+    let queryError = null;
+    const sent = await sendCachedJson(req, res, async () => {
+      // The path status wins over any ?status= filter
+      const query = await buildProductQuery({ ...req.query, status: [req.params.status] });
+      if (query.error) {
+        queryError = query.error;
+        return null;
+      }
+
+      const locale = getReadLocale(req);
+      const [result, pricing] = await Promise.all([runProductQuery(query), loadPricing()]);
+      const prices = priceDates(result.products, pricing);
+      return {
+        body: {
+          ...result,
+          products: result.products.map(p => toPublicProduct(p, locale, pricing)),
+          count: result.products.length,
+        },
+        lastModified: latestDate([lastCatalogChange, ...prices.changed, ...result.products.map(p => p.updatedAt)]),
+        expiresAt: prices.next,
+      };
+    });
+    if (!sent) return sendValidationError(req, res, [queryError]);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch products" });
+  }
+});
+
+// --- VARIANTS ---
+// Variants live inside the product document. Each has its own SKU (unrelated
+// to numeration), attributes, price, status and optional image; the product
+// keeps the shared name, description and photos. Every save re-derives the
+// product's priceRange and availability, see applyVariantSummary.
+
+const MAX_VARIANTS = 50;
+
+// Attribute names become Map keys, which mongo does not allow to contain "." or start with "$"
+const variantAttributes = z.preprocess(fromJson, z.record(
+  z.string().trim().min(1).regex(/^[^.$][^.]*$/, 'Attribute names cannot contain "." or start with "$"'),
+  z.string().trim().min(1)
+));
+
+// Shared by the create and update schemas; attributes may be sent as JSON text in multipart forms
+const variantFields = {
+  sku: z.string().trim().min(1).max(64),
+  attributes: variantAttributes,
+  price: productFields.price,
+  status: productFields.status,
+};
+
+const createVariantBody = z.object({
+  sku: variantFields.sku,
+  attributes: optional(variantFields.attributes),
+  price: variantFields.price,
+  status: optional(variantFields.status),
+});
+
+// Omitted fields are left alone; attributes replace the whole set
+const updateVariantBody = z.object({
+  sku: optional(variantFields.sku),
+  attributes: optional(variantFields.attributes),
+  price: optional(variantFields.price),
+  status: optional(variantFields.status),
+  removeImage: optional(zBoolean()),
+});
+
+const variantParams = z.object({ id: zObjectId(), variantId: zObjectId() });
+
+const attributesOf = (variant) => Object.fromEntries(variant.attributes || []);
+
+const sameAttributes = (a, b) => JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort());
+
+const skuConflict = (sku, product) => ({
+  error: "SKU already in use",
+  sku,
+  product: { _id: product._id, name: product.name },
+});
+
+// The unique index catches SKUs taken between the check below and the save
+const isSkuConflict = (error) => Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern['variants.sku']);
+
+/**
+ * Checks a new or changed variant against the product's other variants and
+ * the SKUs of every other product, trashed ones included. Returns the 409
+ * body for the first conflict, or null.
+ */
+const findVariantConflict = async (product, { sku, attributes }, variantId) => {
+  const others = product.variants.filter(v => !variantId || !v._id.equals(variantId));
+  if (attributes && others.some(v => sameAttributes(attributesOf(v), attributes))) {
+    return { error: "Another variant has the same attributes", attributes };
+  }
+  if (sku === undefined) return null;
+  if (others.some(v => v.sku === sku)) return skuConflict(sku, product);
+
+  const holder = await Product.findOne({ _id: { $ne: product._id }, 'variants.sku': sku }).select('name');
+  return holder ? skuConflict(sku, holder) : null;
+};
+
+// Run once by startServer: products saved before variants existed have no summary yet
+const ensureVariantSummaries = async () => {
+  const { modifiedCount } = await Product.updateMany(
+    { availability: { $exists: false } },
+    [{
+      $set: {
+        priceRange: { min: '$price', max: '$price' },
+        availability: { $ifNull: ['$status', 'available'] },
+      },
+    }]
+  );
+  if (modifiedCount > 0) logger.info(`Added price range and availability to ${modifiedCount} products`);
+};
+
+app.get("/products/:id/variants", checkDbConnection, validate({ params: idParams }), async (req, res) => {
+  try {
+    const sent = await sendCachedJson(req, res, async () => {
+      const product = await findActiveProduct(req.params.id).select('price sale categories variants priceRange availability updatedAt');
+      if (!product) return null;
+      const pricing = await loadPricing();
+      const prices = priceDates([product], pricing);
+      const { variants, effectivePriceRange } = priceProduct(product.toJSON({ flattenMaps: true }), pricing);
+      return {
+        body: { variants, priceRange: product.priceRange, effectivePriceRange, availability: product.availability },
+        lastModified: latestDate([product.updatedAt, ...prices.changed]),
+        expiresAt: prices.next,
+      };
+    });
+    if (!sent) return res.status(404).json({ error: "Product not found" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch variants" });
+  }
+});
+
+app.post("/products/:id/variants", checkDbConnection, requireRole('editor'), uploadLimiter, uploadImage.single('image'), validate({ params: idParams, body: createVariantBody }), async (req, res) => {
+  try {
+    const { sku, attributes = {}, price, status } = req.body;
+
+    const product = await findActiveProduct(req.params.id);
+    if (!product) {
+      await discardUploads(req);
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (product.variants.length >= MAX_VARIANTS) {
+      await discardUploads(req);
+      return res.status(409).json({ error: `A product can have at most ${MAX_VARIANTS} variants` });
+    }
+
+    const conflict = await findVariantConflict(product, { sku, attributes });
+    if (conflict) {
+      await discardUploads(req);
+      return res.status(409).json(conflict);
+    }
+    const before = toAuditSnapshot(product);
+
+    const variantData = { sku, attributes, price };
+    if (status) variantData.status = status;
+    if (req.file) {
+      const asset = storage.toAsset(req.file);
+      variantData.image = asset.url;
+      variantData.imagePublicId = asset.publicId;
+    }
+
+    product.variants.push(variantData);
+    await product.save();
+    const variant = product.variants[product.variants.length - 1];
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product, meta: { variant: variant._id } });
+    req.log.info(`Variant ${sku} added to product ${product._id}`);
+    res.status(201).json({ message: "Variant added successfully", variant, product });
+  } catch (error) {
+    await discardUploads(req);
+    if (isSkuConflict(error)) return res.status(409).json({ error: "SKU already in use", sku: req.body.sku });
+    req.log.error('Error adding variant', { err: error });
+    res.status(500).json({ error: "Failed to add variant", details: error.message });
+  }
+});
+
+// A new image replaces the old one, removeImage=true drops it
+app.put("/products/:id/variants/:variantId", checkDbConnection, requireRole('editor'), uploadLimiter, uploadImage.single('image'), validate({ params: variantParams, body: updateVariantBody }), async (req, res) => {
+  try {
+    const { sku, attributes, price, status, removeImage } = req.body;
+
+    const product = await findActiveProduct(req.params.id);
+    if (!product) {
+      await discardUploads(req);
+      return res.status(404).json({ error: "Product not found" });
+    }
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      await discardUploads(req);
+      return res.status(404).json({ error: "Variant not found" });
+    }
+    if (req.file && removeImage) {
+      return sendValidationError(req, res, [{ location: 'body', field: 'removeImage', message: 'Cannot remove the image while uploading a new one' }]);
+    }
+
+    const conflict = await findVariantConflict(product, { sku, attributes }, variant._id);
+    if (conflict) {
+      await discardUploads(req);
+      return res.status(409).json(conflict);
+    }
+    const before = toAuditSnapshot(product);
+
+    if (sku !== undefined) variant.sku = sku;
+    if (attributes !== undefined) variant.attributes = attributes;
+    if (price !== undefined) variant.price = price;
+    if (status !== undefined) variant.status = status;
+
+    const replacedPublicId = req.file || removeImage ? variant.imagePublicId : null;
+    if (req.file) {
+      const asset = storage.toAsset(req.file);
+      variant.image = asset.url;
+      variant.imagePublicId = asset.publicId;
+    } else if (removeImage) {
+      variant.image = undefined;
+      variant.imagePublicId = undefined;
+    }
+
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product, meta: { variant: variant._id } });
+    await destroyAsset(replacedPublicId);
+    req.log.info(`Variant ${variant.sku} of product ${product._id} updated`);
+    res.json({ message: "Variant updated successfully", variant, product });
+  } catch (error) {
+    await discardUploads(req);
+    if (isSkuConflict(error)) return res.status(409).json({ error: "SKU already in use", sku: req.body.sku });
+    req.log.error('Error updating variant', { err: error });
+    res.status(500).json({ error: "Failed to update variant", details: error.message });
+  }
+});
+
+app.delete("/products/:id/variants/:variantId", checkDbConnection, requireRole('editor'), validate({ params: variantParams }), async (req, res) => {
+  try {
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) return res.status(404).json({ error: "Variant not found" });
+    const before = toAuditSnapshot(product);
+
+    product.variants.pull(variant._id);
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product, meta: { variant: variant._id } });
+    await destroyAsset(variant.imagePublicId);
+    req.log.info(`Variant ${variant.sku} removed from product ${product._id}`);
+    res.json({ message: "Variant deleted successfully", product });
+  } catch (error) {
+    req.log.error('Error deleting variant', { err: error });
+    res.status(500).json({ error: "Failed to delete variant", details: error.message });
+  }
+});
+
+// --- SALE & PRICE HISTORY ---
+
+// Dates are optional: without startsAt the sale runs right away, without endsAt until it is removed
+const saleBody = z.object({
+  price: productFields.price,
+  startsAt: optional(zDate()),
+  endsAt: optional(zDate()),
+}).refine(sale => !sale.endsAt || sale.endsAt > new Date(), { message: 'Must be in the future', path: ['endsAt'] })
+  .refine(sale => !sale.startsAt || !sale.endsAt || sale.startsAt < sale.endsAt, { message: 'Must be after startsAt', path: ['endsAt'] });
+
+app.put("/products/:id/sale", checkDbConnection, requireRole('editor'), validate({ params: idParams, body: saleBody }), async (req, res) => {
+  try {
+    const { price, startsAt = null, endsAt = null } = req.body;
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    if (product.variants.length > 0) {
+      return res.status(409).json({ error: "Products with variants are discounted through promotions" });
+    }
+    if (price >= product.price) {
+      return sendValidationError(req, res, [{ location: 'body', field: 'price', message: `Must be below the regular price (${product.price})` }]);
+    }
+    const before = toAuditSnapshot(product);
+
+    product.sale = { price, startsAt, endsAt };
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    req.log.info(`Sale on product ${product._id}: ${product.price} → ${price}`);
+    res.json({ message: "Sale saved successfully", product });
+  } catch (error) {
+    req.log.error('Error saving sale', { err: error });
+    res.status(500).json({ error: "Failed to save sale", details: error.message });
+  }
+});
+
+app.delete("/products/:id/sale", checkDbConnection, requireRole('editor'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const product = await findActiveProduct(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    if (!product.sale) return res.status(404).json({ error: "Product has no sale" });
+    const before = toAuditSnapshot(product);
+
+    product.sale = null;
+    await product.save();
+    await recordAudit({ req, entity: 'product', entityId: product._id, action: 'update', before, after: product });
+    res.json({ message: "Sale removed successfully", product });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to remove sale" });
+  }
+});
+
+// Every recorded regular, sale and variant price, newest first; kept after the product is purged
+app.get("/products/:id/prices", checkDbConnection, requireRole('editor'), validate({ params: idParams, query: historyQuery }), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = { product: req.params.id };
+    const [prices, total] = await Promise.all([
+      PriceChange.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      PriceChange.countDocuments(filter),
+    ]);
+    res.json({ prices, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch price history" });
+  }
+});
+
+// ========== STOCK REPORT ==========
+
+// on_the_way products whose expectedArrival has passed, and tracked products at or below ?lowStock= (default 3)
+const stockReportQuery = z.object({
+  lowStock: optional(zNumber(z.number().int().min(0))).transform(lowStock => lowStock ?? 3),
+});
+
+app.get("/stock/report", checkDbConnection, requireRole('editor'), validate({ query: stockReportQuery }), async (req, res) => {
+  try {
+    const { lowStock } = req.query;
+
+    const now = new Date();
+    const [overdueArrivals, lowStockProducts, outOfStockCount] = await Promise.all([
+      Product.find({ deletedAt: null, status: 'on_the_way', expectedArrival: { $lt: now } })
+        .sort({ expectedArrival: 1 })
+        .select('name numeration status statusNote expectedArrival stock mainImage'),
+      Product.find({ deletedAt: null, status: { $ne: 'discontinued' }, stock: { $ne: null, $lte: lowStock } })
+        .sort({ stock: 1, numeration: 1 })
+        .select('name numeration status stock mainImage'),
+      Product.countDocuments({ deletedAt: null, status: 'out_of_stock' }),
+    ]);
+
+    res.json({
+      generatedAt: now,
+      overdueArrivals: overdueArrivals.map(p => ({
+        ...p.toJSON(),
+        daysOverdue: Math.floor((now - p.expectedArrival) / (24 * 60 * 60 * 1000)),
+      })),
+      lowStock: lowStockProducts,
+      lowStockThreshold: lowStock,
+      outOfStockCount,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to build stock report" });
+  }
+});
+
+// ========== PROMOTIONS ==========
+// Time-boxed discounts on categories or single products. They are applied to
+// public prices at request time by priceProduct, so starting and ending needs
+// no write.
+
+const PROMOTION_STATES = ['scheduled', 'running', 'ended'];
+
+const promotionState = (promotion, now = new Date()) => {
+  if (promotion.startsAt > now) return 'scheduled';
+  return promotion.endsAt > now ? 'running' : 'ended';
+};
+
+const withPromotionState = (promotion) => ({ ...promotion.toJSON(), state: promotionState(promotion) });
+
+// Shared by the create and update schemas
+const promotionFields = {
+  name: z.string().trim().min(1),
+  type: z.enum(PROMOTION_TYPES),
+  value: zNumber(z.number().positive()),
+  // Category ids or slugs, resolved by resolveCategoryIds
+  categories: zList(z.string()),
+  products: zList(zObjectId()),
+  startsAt: zDate(),
+  endsAt: zDate(),
+  active: zBoolean(),
+};
+
+const createPromotionBody = z.object({
+  name: promotionFields.name,
+  type: promotionFields.type,
+  value: promotionFields.value,
+  categories: promotionFields.categories.default([]),
+  products: promotionFields.products.default([]),
+  startsAt: promotionFields.startsAt,
+  endsAt: promotionFields.endsAt,
+  active: optional(promotionFields.active),
+});
+
+// Omitted fields are left alone; categories and products replace the whole list
+const updatePromotionBody = z.object({
+  name: optional(promotionFields.name),
+  type: optional(promotionFields.type),
+  value: optional(promotionFields.value),
+  categories: promotionFields.categories.optional(),
+  products: promotionFields.products.optional(),
+  startsAt: optional(promotionFields.startsAt),
+  endsAt: optional(promotionFields.endsAt),
+  active: optional(promotionFields.active),
+});
+
+const promotionListQuery = z.object({
+  ...paginationQuery(50),
+  state: optional(z.enum(PROMOTION_STATES)),
+});
+
+/**
+ * Resolves the sent categories (ids or slugs) and products into ids.
+ * Returns the resolved fields, or { error } with the validation field.
+ */
+const resolvePromotionTargets = async ({ categories, products }) => {
+  const targets = {};
+  if (categories !== undefined) {
+    const { ids, missing } = await resolveCategoryIds(categories);
+    if (missing.length > 0) return { error: unknownCategoriesError(missing) };
+    targets.categories = ids;
+  }
+  if (products !== undefined) {
+    const productIds = [...new Set(products)];
+    const found = new Set((await Product.find({ _id: { $in: productIds }, deletedAt: null }).select('_id')).map(p => p._id.toString()));
+    const missing = productIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      return { error: { location: 'body', field: 'products', message: `Unknown or trashed products: ${missing.join(', ')}` } };
+    }
+    targets.products = productIds;
+  }
+  return targets;
+};
+
+// Rules across fields, checked on the resulting promotion so updates cannot break them either
+const promotionErrors = ({ type, value, categories, products, startsAt, endsAt }) => {
+  const errors = [];
+  if (type === 'percentage' && value > 100) errors.push({ location: 'body', field: 'value', message: 'A percentage cannot be above 100' });
+  if (endsAt <= startsAt) errors.push({ location: 'body', field: 'endsAt', message: 'Must be after startsAt' });
+  if (categories.length === 0 && products.length === 0) {
+    errors.push({ location: 'body', field: 'categories', message: 'Add at least one category or product' });
+  }
+  return errors;
+};
+
+app.get("/promotions", checkDbConnection, requireRole('editor'), validate({ query: promotionListQuery }), async (req, res) => {
+  try {
+    const { page, limit, state } = req.query;
+    const now = new Date();
+    const filter = {
+      scheduled: { startsAt: { $gt: now } },
+      running: { startsAt: { $lte: now }, endsAt: { $gt: now } },
+      ended: { endsAt: { $lte: now } },
+    }[state] || {};
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter).sort({ startsAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      Promotion.countDocuments(filter),
+    ]);
+    res.json({ promotions: promotions.map(withPromotionState), total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch promotions" });
+  }
+});
+
+app.post("/promotions", checkDbConnection, requireRole('editor'), validate({ body: createPromotionBody }), async (req, res) => {
+  try {
+    const targets = await resolvePromotionTargets(req.body);
+    if (targets.error) return sendValidationError(req, res, [targets.error]);
+
+    const promotionData = { ...req.body, ...targets };
+    const errors = promotionErrors(promotionData);
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    const promotion = new Promotion({ ...promotionData, createdBy: { id: req.admin._id, username: req.admin.username } });
+    await promotion.save();
+    req.log.info(`Promotion created: ${promotion.name} (${promotion.startsAt.toISOString()} → ${promotion.endsAt.toISOString()})`);
+    res.status(201).json({ message: "Promotion created successfully", promotion: withPromotionState(promotion) });
+  } catch (error) {
+    req.log.error('Error creating promotion', { err: error });
+    res.status(500).json({ error: "Failed to create promotion", details: error.message });
+  }
+});
+
+app.get("/promotions/:id", checkDbConnection, requireRole('editor'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('categories', 'name slug')
+      .populate('products', 'name price numeration');
+    if (!promotion) return res.status(404).json({ error: "Promotion not found" });
+    res.json({ promotion: withPromotionState(promotion) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch promotion" });
+  }
+});
+
+app.put("/promotions/:id", checkDbConnection, requireRole('editor'), validate({ params: idParams, body: updatePromotionBody }), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ error: "Promotion not found" });
+
+    const targets = await resolvePromotionTargets(req.body);
+    if (targets.error) return sendValidationError(req, res, [targets.error]);
+
+    Object.entries({ ...req.body, ...targets }).forEach(([field, value]) => {
+      if (value !== undefined) promotion[field] = value;
+    });
+    const errors = promotionErrors(promotion);
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    await promotion.save();
+    req.log.info(`Promotion updated: ${promotion.name}`);
+    res.json({ message: "Promotion updated successfully", promotion: withPromotionState(promotion) });
+  } catch (error) {
+    req.log.error('Error updating promotion', { err: error });
+    res.status(500).json({ error: "Failed to update promotion", details: error.message });
+  }
+});
+
+app.delete("/promotions/:id", checkDbConnection, requireRole('editor'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) return res.status(404).json({ error: "Promotion not found" });
+    req.log.info(`Promotion deleted: ${promotion.name}`);
+    res.json({ message: "Promotion deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete promotion" });
+  }
+});
+
+// ========== INQUIRIES ==========
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_INQUIRY_ITEMS = 50;
+const MAX_ITEM_QUANTITY = 999;
+
+const inquiryLimiter = createRateLimiter(INQUIRY_RATE_LIMIT, "Too many inquiries, please try again later");
+
+const inquiryBody = z.object({
+  customerName: z.string().trim().min(1),
+  phone: optional(z.string().trim().regex(/^[+\d][\d\s()-]{4,}$/, 'Invalid phone number')),
+  email: optional(z.string().trim().regex(EMAIL_PATTERN, 'Invalid email address')),
+  message: z.string().default(''),
+  items: z.array(z.object({
+    productId: zObjectId(),
+    variantId: optional(zObjectId()),
+    quantity: zNumber(z.number().int().min(1).max(MAX_ITEM_QUANTITY).default(1)),
+  })).min(1).max(MAX_INQUIRY_ITEMS),
+}).refine(body => body.phone || body.email, { message: 'Phone or email is required', path: ['phone'] });
+
+/**
+ * Snapshots product names and effective prices (the variant's, when one is
+ * given) for a parsed inquiryBody.
+ * Returns { data } or { error } with the validation field of the failing item.
+ */
+const buildInquiry = async (body) => {
+  const { customerName, phone = '', email = '', message, items } = body;
+
+  const pricing = await loadPricing();
+  const snapshots = [];
+  for (const [index, { productId, variantId, quantity }] of items.entries()) {
+    const itemError = (message, field = 'productId') => ({ error: { location: 'body', field: `items.${index}.${field}`, message } });
+
+    const product = await findActiveProduct(productId);
+    if (!product) return itemError('Product not found');
+    // Also covers a product whose variants are all discontinued, see applyVariantSummary
+    if (product.availability === 'discontinued') return itemError('Product is discontinued and cannot be ordered');
+
+    // The product's own price belongs to no variant once it has some
+    if (product.variants.length > 0 && !variantId) return itemError('Required for a product with variants', 'variantId');
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) return itemError('Variant not found', 'variantId');
+    if (variant && variant.status === 'discontinued') return itemError('Variant is discontinued and cannot be ordered', 'variantId');
+
+    const existing = snapshots.find(s => s.product.equals(product._id) && String(s.variant) === String(variantId));
+    if (existing) {
+      existing.quantity += quantity;
+      continue;
+    }
+    const priced = priceProduct(product.toJSON({ flattenMaps: true }), pricing);
+    const offer = variant ? priced.variants.find(v => v._id.equals(variant._id)) : priced;
+    snapshots.push({
+      product: product._id,
+      name: product.name,
+      numeration: product.numeration,
+      ...(variant ? { variant: variant._id, sku: variant.sku, attributes: attributesOf(variant) } : {}),
+      unitPrice: offer.effectivePrice,
+      ...(offer.discount ? { originalUnitPrice: offer.originalPrice } : {}),
+      quantity,
+    });
+  }
+
+  return {
+    data: {
+      customerName,
+      phone,
+      email,
+      message,
+      items: snapshots,
+      total: snapshots.reduce((sum, i) => sum + i.unitPrice * i.quantity, 0),
+    },
+  };
+};
+
+// Public: storefront "request a quote" form
+app.post("/inquiries", checkDbConnection, inquiryLimiter, validate({ body: inquiryBody }), async (req, res) => {
+  try {
+    const result = await buildInquiry(req.body);
+    if (result.error) return sendValidationError(req, res, [result.error]);
+
+    const inquiry = new Inquiry(result.data);
+    await inquiry.save();
+    req.log.info(`Inquiry received: ${inquiry._id} (${inquiry.items.length} products)`);
+    res.status(201).json({
+      message: "Inquiry sent successfully",
+      inquiry: { _id: inquiry._id, items: inquiry.items, total: inquiry.total, createdAt: inquiry.createdAt },
+    });
+  } catch (error) {
+    req.log.error('Error creating inquiry', { err: error });
+    res.status(500).json({ error: "Failed to send inquiry" });
+  }
+});
+
+// Shared by the inquiry and audit listings
+const dateRangeQuery = {
+  from: optional(zDate()),
+  to: optional(zDate()),
+};
+
+const createdAtRange = ({ from, to }) => {
+  if (!from && !to) return undefined;
+  return { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+};
+
+// state is comma-separated, q matches name, phone or email
+const inquiryListQuery = z.object({
+  ...paginationQuery(50),
+  ...dateRangeQuery,
+  state: zList(z.enum(INQUIRY_STATES)).optional(),
+  q: optional(z.string()),
+});
+
+app.get("/inquiries", checkDbConnection, requireRole('editor'), validate({ query: inquiryListQuery }), async (req, res) => {
+  try {
+    const { state: states = [], q, page, limit } = req.query;
+    const filter = {};
+    if (states.length > 0) filter.state = { $in: states };
+
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ customerName: pattern }, { phone: pattern }, { email: pattern }];
+    }
+
+    const createdAt = createdAtRange(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const [inquiries, total] = await Promise.all([
+      Inquiry.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      Inquiry.countDocuments(filter),
+    ]);
+    res.json({ inquiries, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch inquiries" });
+  }
+});
+
+app.get("/inquiries/:id", checkDbConnection, requireRole('editor'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const inquiry = await Inquiry.findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ error: "Inquiry not found" });
+    res.json({ inquiry });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch inquiry" });
+  }
+});
+
+// A note is appended, never replaced
+const inquiryUpdateBody = z.object({
+  state: z.enum(INQUIRY_STATES).optional(),
+  note: z.string().trim().min(1).optional(),
+}).refine(body => body.state !== undefined || body.note !== undefined, { message: 'Send a state or a note' });
+
+app.patch("/inquiries/:id", checkDbConnection, requireRole('editor'), validate({ params: idParams, body: inquiryUpdateBody }), async (req, res) => {
+  try {
+    const { state, note } = req.body;
+    const inquiry = await Inquiry.findById(req.params.id);
+    if (!inquiry) return res.status(404).json({ error: "Inquiry not found" });
+
+    if (state !== undefined) inquiry.state = state;
+    if (note !== undefined) {
+      inquiry.notes.push({
+        text: note,
+        author: { id: req.admin._id, username: req.admin.username },
+      });
+    }
+
+    await inquiry.save();
+    req.log.info(`Inquiry updated: ${inquiry._id} (${inquiry.state})`);
+    res.json({ message: "Inquiry updated successfully", inquiry });
+  } catch (error) {
+    req.log.error('Error updating inquiry', { err: error });
+    res.status(500).json({ error: "Failed to update inquiry", details: error.message });
+  }
+});
+
+// ========== ANALYTICS ==========
+// Catalog health and popularity for the admin dashboard. Everything is
+// computed by MongoDB aggregations at request time; only views are stored.
+
+// Crawlers and uptime checkers would drown out real visitors
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|preview|monitor/i;
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Called by GET /products/:id after the response is sent, cache hits and 304s included. Never throws.
+const recordProductView = async (req, productId) => {
+  if (req.method !== 'GET' || BOT_USER_AGENT.test(req.get('User-Agent') || '')) return;
+  try {
+    await ProductView.updateOne(
+      { product: productId, day: startOfUtcDay(new Date()) },
+      { $inc: { views: 1 } },
+      { upsert: true }
+    );
+  } catch (e) {
+    logger.warn(`Could not count view of product ${productId}`, { err: e });
+  }
+};
+
+// Every status present, even with a count of 0
+const countsByKey = (rows) => Object.fromEntries(PRODUCT_STATUSES.map(status => [
+  status,
+  (rows.find(row => row._id === status) || { count: 0 }).count,
+]));
+
+const hasText = (field) => ({ $gt: [{ $strLenCP: { $trim: { input: { $ifNull: [field, ''] } } } }, 0] });
+const hasItems = (field) => ({ $gt: [{ $size: { $ifNull: [field, []] } }, 0] });
+
+/**
+ * Counts by status and availability, content gaps, overdue arrivals and
+ * value totals over the live catalog. Stock value only covers products
+ * whose stock is tracked, at their regular price.
+ */
+app.get("/stats/catalog", checkDbConnection, requireRole('editor'), async (req, res) => {
+  try {
+    const now = new Date();
+    const [stats] = await Product.aggregate([
+      { $match: { deletedAt: null } },
+      {
+        $facet: {
+          byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          byAvailability: [{ $group: { _id: '$availability', count: { $sum: 1 } } }],
+          totals: [{
+            $group: {
+              _id: null,
+              products: { $sum: 1 },
+              withVariants: { $sum: { $cond: [hasItems('$variants'), 1, 0] } },
+              missingDescription: { $sum: { $cond: [hasText('$description'), 0, 1] } },
+              missingPhotos: { $sum: { $cond: [hasItems('$otherPhotos'), 0, 1] } },
+              overdueArrivals: {
+                $sum: {
+                  $cond: [{ $and: [{ $eq: ['$status', 'on_the_way'] }, { $gt: ['$expectedArrival', null] }, { $lt: ['$expectedArrival', now] }] }, 1, 0],
+                },
+              },
+              averagePrice: { $avg: '$price' },
+              minPrice: { $min: '$priceRange.min' },
+              maxPrice: { $max: '$priceRange.max' },
+              trackedProducts: { $sum: { $cond: [{ $gt: ['$stock', null] }, 1, 0] } },
+              units: { $sum: { $ifNull: ['$stock', 0] } },
+              stockValue: { $sum: { $multiply: [{ $ifNull: ['$stock', 0] }, '$price'] } },
+            },
+          }],
+        },
+      },
+    ]);
+
+    const { _id, products = 0, averagePrice = null, minPrice = null, maxPrice = null, trackedProducts = 0, units = 0, stockValue = 0, ...counts } = stats.totals[0] || {};
+    res.json({
+      generatedAt: now,
+      products,
+      byStatus: countsByKey(stats.byStatus),
+      byAvailability: countsByKey(stats.byAvailability),
+      withVariants: counts.withVariants || 0,
+      missingDescription: counts.missingDescription || 0,
+      missingPhotos: counts.missingPhotos || 0,
+      overdueArrivals: counts.overdueArrivals || 0,
+      value: {
+        averagePrice: averagePrice === null ? null : roundPrice(averagePrice),
+        minPrice,
+        maxPrice,
+        trackedProducts,
+        units,
+        stockValue: roundPrice(stockValue),
+      },
+    });
+  } catch (error) {
+    req.log.error('Error building catalog stats', { err: error });
+    res.status(500).json({ error: "Failed to build catalog stats", details: error.message });
+  }
+});
+
+// Lists what /stats/catalog counts; overdue arrivals are listed by /stock/report
+const contentGapsQuery = z.object({
+  ...paginationQuery(50),
+  missing: optional(z.enum(['description', 'photos'])),
+});
+
+app.get("/stats/content-gaps", checkDbConnection, requireRole('editor'), validate({ query: contentGapsQuery }), async (req, res) => {
+  try {
+    const { page, limit, missing } = req.query;
+    const [result] = await Product.aggregate([
+      { $match: { deletedAt: null } },
+      {
+        $project: {
+          name: 1,
+          numeration: 1,
+          status: 1,
+          mainImage: 1,
+          missing: {
+            $concatArrays: [
+              { $cond: [hasText('$description'), [], ['description']] },
+              { $cond: [hasItems('$otherPhotos'), [], ['photos']] },
+            ],
+          },
+        },
+      },
+      { $match: missing ? { missing } : { 'missing.0': { $exists: true } } },
+      { $sort: { numeration: 1, _id: 1 } },
+      {
+        $facet: {
+          products: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    res.json({ products: result.products, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to list content gaps" });
+  }
+});
+
+// Whole UTC days; defaults to the last 30 days including today
+const viewStatsQuery = z.object({
+  ...dateRangeQuery,
+  limit: optional(zNumber(z.number().int().min(1).max(MAX_PAGE_LIMIT))).transform(limit => limit ?? 10),
+}).refine(query => !query.from || !query.to || query.from <= query.to, { message: 'Must not be after to', path: ['from'] });
+
+app.get("/stats/views", checkDbConnection, requireRole('editor'), validate({ query: viewStatsQuery }), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const to = startOfUtcDay(req.query.to || new Date());
+    const from = startOfUtcDay(req.query.from || new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000));
+
+    const [result] = await ProductView.aggregate([
+      { $match: { day: { $gte: from, $lte: to } } },
+      {
+        $facet: {
+          products: [
+            { $group: { _id: '$product', views: { $sum: '$views' } } },
+            { $sort: { views: -1, _id: 1 } },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: Product.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'product',
+                pipeline: [{ $project: { name: 1, numeration: 1, status: 1, mainImage: 1, deletedAt: 1 } }],
+              },
+            },
+            // Purged products keep their views with product: null
+            { $project: { _id: 0, product: { $ifNull: [{ $first: '$product' }, null] }, productId: '$_id', views: 1 } },
+          ],
+          totals: [{ $group: { _id: null, views: { $sum: '$views' }, products: { $addToSet: '$product' } } }],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0];
+    res.json({
+      from,
+      to,
+      totalViews: totals ? totals.views : 0,
+      viewedProducts: totals ? totals.products.length : 0,
+      products: result.products,
+    });
+  } catch (error) {
+    req.log.error('Error building view stats', { err: error });
+    res.status(500).json({ error: "Failed to build view stats", details: error.message });
+  }
+});
+
+// ========== SITE CONFIG ==========
+
+const SITE_CONTENT_FIELDS = Object.keys(siteContentFields);
+const SITE_IMAGE_FIELDS = ['landingBanner', 'logo'];
+
+const getOrCreateConfig = async () => {
+  let config = await SiteConfig.findOne();
+  if (!config) {
+    config = new SiteConfig();
+    await config.save();
+    logger.info('Created fresh site config');
+  }
+  return config;
+};
+
+const pickSiteContent = (doc) => {
+  const obj = doc.toObject ? doc.toObject({ flattenMaps: true }) : doc;
+  return Object.fromEntries(SITE_CONTENT_FIELDS.map(field => [field, obj[field]]));
+};
+
+// Configs saved before drafts existed start with a draft equal to the live content
+const getDraft = (settings) => {
+  if (!settings.draft) settings.draft = pickSiteContent(settings);
+  settings.draft.updatedAt = new Date();
+  return settings.draft;
+};
+
+const hasUnpublishedChanges = (settings) => Boolean(settings.draft)
+  && JSON.stringify(pickSiteContent(settings.draft)) !== JSON.stringify(pickSiteContent(settings));
+
+// What the write routes and the preview return
+const draftView = (settings, locale = null) => ({
+  ...localize(settings.draft ? pickSiteContent(settings.draft) : pickSiteContent(settings), 'settings', locale),
+  _id: settings._id,
+  draftUpdatedAt: settings.draft ? settings.draft.updatedAt : null,
+  publishedAt: settings.publishedAt,
+  scheduledPublishAt: settings.scheduledPublishAt,
+  hasUnpublishedChanges: hasUnpublishedChanges(settings),
+});
+
+// Returns the old draft image for the caller to destroy after the save, or
+// null when there is none or the live site is still showing it
+const setDraftImage = (settings, field, asset) => {
+  const draft = getDraft(settings);
+  const oldPublicId = draft[`${field}PublicId`];
+  draft[field] = asset.url;
+  draft[`${field}PublicId`] = asset.publicId;
+  return oldPublicId && oldPublicId !== settings[`${field}PublicId`] ? oldPublicId : null;
+};
+
+/**
+ * Copies the draft to the live fields. Live images the draft replaced are
+ * destroyed after the save. `req` is null for scheduled publishes.
+ */
+const publishDraft = async (settings, req, meta = {}) => {
+  const before = toAuditSnapshot(settings);
+  const content = pickSiteContent(getDraft(settings));
+  const replaced = SITE_IMAGE_FIELDS
+    .map(field => settings[`${field}PublicId`])
+    .filter((publicId, i) => publicId && publicId !== content[`${SITE_IMAGE_FIELDS[i]}PublicId`]);
+
+  for (const field of SITE_CONTENT_FIELDS) settings.set(field, content[field]);
+  settings.publishedAt = new Date();
+  settings.scheduledPublishAt = null;
+
+  await settings.save();
+  for (const publicId of replaced) await destroyAsset(publicId);
+  await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'publish', before, after: settings, meta });
+  logger.info(`Site config published${meta.scheduled ? ' (scheduled)' : ''}`);
+};
+
+// Run every minute by startServer
+const publishScheduledSettings = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  const settings = await SiteConfig.findOne({ scheduledPublishAt: { $ne: null, $lte: new Date() } });
+  if (settings) await publishDraft(settings, null, { scheduled: true });
+};
+
+// Text fields of the draft; each route accepts its own subset
+const settingsTextBody = (fields) => z.object({
+  ...Object.fromEntries(fields.map(field => [field, z.string().optional()])),
+  lang: localeParam,
+});
+
+app.get("/settings", checkDbConnection, validate({ query: readLocaleQuery }), async (req, res) => {
+  try {
+    await sendCachedJson(req, res, async () => {
+      const settings = await getOrCreateConfig();
+      // Only the published content, never the draft
+      const published = { ...pickSiteContent(settings), _id: settings._id, publishedAt: settings.publishedAt, updatedAt: settings.updatedAt };
+      return {
+        body: { settings: localize(published, 'settings', getReadLocale(req)) },
+        lastModified: settings.publishedAt || settings.updatedAt,
+      };
+    });
+  } catch (error) {
+    req.log.error('Error fetching config', { err: error });
+    res.status(500).json({ error: "Failed to fetch site settings", details: error.message });
+  }
+});
+
+app.put("/settings", checkDbConnection, requireRole('owner'), uploadLimiter, uploadImage.fields([
+  { name: 'landingBanner', maxCount: 1 },
+  { name: 'logo', maxCount: 1 }
+]), validate({ query: writeLocaleQuery, body: settingsTextBody(TRANSLATABLE_FIELDS.settings) }), async (req, res) => {
+  try {
+    const locale = getWriteLocale(req);
+
+    const settings = await getOrCreateConfig();
+    const before = toAuditSnapshot(settings);
+    const draft = getDraft(settings);
+
+    for (const field of TRANSLATABLE_FIELDS.settings) {
+      if (req.body[field] !== undefined) setLocalizedField(draft, field, req.body[field], locale);
+    }
+
+    const replaced = [];
+    if (req.files && req.files.landingBanner) {
+      replaced.push(setDraftImage(settings, 'landingBanner', storage.toAsset(req.files.landingBanner[0])));
+    }
+
+    if (req.files && req.files.logo) {
+      replaced.push(setDraftImage(settings, 'logo', storage.toAsset(req.files.logo[0])));
+    }
+
+    await settings.save();
+    for (const publicId of replaced) await destroyAsset(publicId);
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'update', before, after: settings });
+    req.log.info('Site config draft updated');
+    res.json({ message: "Site settings saved to draft", settings: draftView(settings) });
+  } catch (error) {
+    await discardUploads(req);
+    req.log.error('Error updating config', { err: error });
+    res.status(500).json({ error: "Failed to update site settings", details: error.message });
+  }
+});
+
+app.patch("/settings/landing", checkDbConnection, requireRole('owner'), validate({ query: writeLocaleQuery, body: settingsTextBody(['landingTitle', 'landingDescription']) }), async (req, res) => {
+  try {
+    const { landingTitle, landingDescription } = req.body;
+    const locale = getWriteLocale(req);
+
+    const settings = await getOrCreateConfig();
+    const before = toAuditSnapshot(settings);
+    const draft = getDraft(settings);
+
+    if (landingTitle !== undefined) setLocalizedField(draft, 'landingTitle', landingTitle, locale);
+    if (landingDescription !== undefined) setLocalizedField(draft, 'landingDescription', landingDescription, locale);
+
+    await settings.save();
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'update', before, after: settings });
+    req.log.info('Draft landing text updated');
+    res.json({ message: "Landing text saved to draft", settings: draftView(settings) });
+  } catch (error) {
+    req.log.error('Error updating landing', { err: error });
+    res.status(500).json({ error: "Failed to update landing text", details: error.message });
+  }
+});
+
+app.patch("/settings/about", checkDbConnection, requireRole('owner'), validate({ query: writeLocaleQuery, body: settingsTextBody(['aboutText']) }), async (req, res) => {
+  try {
+    const { aboutText } = req.body;
+    const locale = getWriteLocale(req);
+
+    const settings = await getOrCreateConfig();
+    const before = toAuditSnapshot(settings);
+    const draft = getDraft(settings);
+
+    if (aboutText !== undefined) setLocalizedField(draft, 'aboutText', aboutText, locale);
+
+    await settings.save();
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'update', before, after: settings });
+    req.log.info('Draft about text updated');
+    res.json({ message: "About text saved to draft", settings: draftView(settings) });
+  } catch (error) {
+    req.log.error('Error updating about', { err: error });
+    res.status(500).json({ error: "Failed to update about text", details: error.message });
+  }
+});
+
+app.patch("/settings/services", checkDbConnection, requireRole('owner'), validate({ query: writeLocaleQuery, body: settingsTextBody(['servicesText']) }), async (req, res) => {
+  try {
+    const { servicesText } = req.body;
+    const locale = getWriteLocale(req);
+
+    const settings = await getOrCreateConfig();
+    const before = toAuditSnapshot(settings);
+    const draft = getDraft(settings);
+
+    if (servicesText !== undefined) setLocalizedField(draft, 'servicesText', servicesText, locale);
+
+    await settings.save();
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'update', before, after: settings });
+    req.log.info('Draft services text updated');
+    res.json({ message: "Services text saved to draft", settings: draftView(settings) });
+  } catch (error) {
+    req.log.error('Error updating services', { err: error });
+    res.status(500).json({ error: "Failed to update services text", details: error.message });
+  }
+});
+
+app.patch("/settings/banner", checkDbConnection, requireRole('owner'), uploadLimiter, uploadImage.single('landingBanner'), validate({ files: ['landingBanner'] }), async (req, res) => {
+  try {
+    const settings = await getOrCreateConfig();
+    const before = toAuditSnapshot(settings);
+    const replacedPublicId = setDraftImage(settings, 'landingBanner', storage.toAsset(req.file));
+
+    await settings.save();
+    await destroyAsset(replacedPublicId);
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'update', before, after: settings });
+    req.log.info('Draft banner updated');
+    res.json({ message: "Landing banner saved to draft", settings: draftView(settings) });
+  } catch (error) {
+    await discardUploads(req);
+    req.log.error('Error updating banner', { err: error });
+    res.status(500).json({ error: "Failed to update landing banner", details: error.message });
+  }
+});
+
+app.patch("/settings/logo", checkDbConnection, requireRole('owner'), uploadLimiter, uploadImage.single('logo'), validate({ files: ['logo'] }), async (req, res) => {
+  try {
+    const settings = await getOrCreateConfig();
+    const before = toAuditSnapshot(settings);
+    const replacedPublicId = setDraftImage(settings, 'logo', storage.toAsset(req.file));
+
+    await settings.save();
+    await destroyAsset(replacedPublicId);
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'update', before, after: settings });
+    req.log.info('Draft logo updated');
+    res.json({ message: "Logo saved to draft", settings: draftView(settings) });
+  } catch (error) {
+    await discardUploads(req);
+    req.log.error('Error updating logo', { err: error });
+    res.status(500).json({ error: "Failed to update logo", details: error.message });
+  }
+});
+
+app.get("/settings/preview", checkDbConnection, requireRole('owner'), validate({ query: readLocaleQuery }), async (req, res) => {
+  try {
+    const settings = await getOrCreateConfig();
+    res.json({ settings: draftView(settings, getReadLocale(req)) });
+  } catch (error) {
+    req.log.error('Error fetching draft', { err: error });
+    res.status(500).json({ error: "Failed to fetch settings preview", details: error.message });
+  }
+});
+
+app.post("/settings/publish", checkDbConnection, requireRole('owner'), async (req, res) => {
+  try {
+    const settings = await getOrCreateConfig();
+    await publishDraft(settings, req);
+    res.json({ message: "Site settings published successfully", settings });
+  } catch (error) {
+    req.log.error('Error publishing config', { err: error });
+    res.status(500).json({ error: "Failed to publish site settings", details: error.message });
+  }
+});
+
+const scheduleBody = z.object({
+  publishAt: zDate(z.date().refine(date => date > new Date(), 'Must be in the future')),
+});
+
+app.put("/settings/schedule", checkDbConnection, requireRole('owner'), validate({ body: scheduleBody }), async (req, res) => {
+  try {
+    const { publishAt } = req.body;
+    const settings = await getOrCreateConfig();
+    settings.scheduledPublishAt = publishAt;
+    await settings.save();
+    req.log.info(`Site config publish scheduled for ${publishAt.toISOString()}`);
+    res.json({ message: "Publish scheduled successfully", settings: draftView(settings) });
+  } catch (error) {
+    req.log.error('Error scheduling publish', { err: error });
+    res.status(500).json({ error: "Failed to schedule publish", details: error.message });
+  }
+});
+
+app.delete("/settings/schedule", checkDbConnection, requireRole('owner'), async (req, res) => {
+  try {
+    const settings = await getOrCreateConfig();
+    if (!settings.scheduledPublishAt) return res.status(404).json({ error: "No publish is scheduled" });
+
+    settings.scheduledPublishAt = null;
+    await settings.save();
+    req.log.info('Scheduled publish cancelled');
+    res.json({ message: "Scheduled publish cancelled", settings: draftView(settings) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to cancel scheduled publish" });
+  }
+});
+
+// Resets the draft to the live content and drops its unpublished images
+app.post("/settings/draft/discard", checkDbConnection, requireRole('owner'), async (req, res) => {
+  try {
+    const settings = await getOrCreateConfig();
+    const before = toAuditSnapshot(settings);
+    const draftOnlyImages = settings.draft
+      ? SITE_IMAGE_FIELDS
+        .map(field => settings.draft[`${field}PublicId`])
+        .filter((publicId, i) => publicId && publicId !== settings[`${SITE_IMAGE_FIELDS[i]}PublicId`])
+      : [];
+
+    settings.draft = { ...pickSiteContent(settings), updatedAt: new Date() };
+    settings.scheduledPublishAt = null;
+    await settings.save();
+    for (const publicId of draftOnlyImages) await destroyAsset(publicId);
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'update', before, after: settings, meta: { discardDraft: true } });
+    req.log.info('Site config draft discarded');
+    res.json({ message: "Draft discarded", settings: draftView(settings) });
+  } catch (error) {
+    req.log.error('Error discarding draft', { err: error });
+    res.status(500).json({ error: "Failed to discard draft", details: error.message });
+  }
+});
+
+app.get("/settings/history", checkDbConnection, requireRole('owner'), validate({ query: historyQuery }), async (req, res) => {
+  try {
+    res.json(await fetchAuditEntries({ entity: 'settings' }, req.query));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch settings history" });
+  }
+});
+
+app.post("/settings/history/:revision/restore", checkDbConnection, requireRole('owner'), validate({ params: revisionParams() }), async (req, res) => {
+  try {
+    const settings = await getOrCreateConfig();
+    const entry = await AuditEntry.findOne({ entity: 'settings', entityId: settings._id, revision: req.params.revision });
+    if (!entry || !entry.snapshot) return res.status(404).json({ error: "Revision not found" });
+
+    // Restores into the draft (the revision's draft when it has one); publish to make it live
+    const before = toAuditSnapshot(settings);
+    const source = isPlainObject(entry.snapshot.draft) ? entry.snapshot.draft : entry.snapshot;
+    applyRevision(getDraft(settings), 'settings', source);
+    await settings.save();
+    await recordAudit({ req, entity: 'settings', entityId: settings._id, action: 'restore', before, after: settings, meta: { restoredRevision: entry.revision } });
+    req.log.info(`Site config draft restored to revision ${entry.revision}`);
+    res.json({ message: "Revision restored to draft, publish it to go live", restoredRevision: entry.revision, settings: draftView(settings) });
+  } catch (error) {
+    req.log.error('Error restoring config', { err: error });
+    res.status(500).json({ error: "Failed to restore site settings", details: error.message });
+  }
+});
+
+// ========== EVENTS ==========
+
+// Open /events responses, ended on shutdown so the server can close
+const eventStreams = new Set();
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+// EventSource cannot send headers, so browsers pass a stream token as ?access_token=.
+// Login tokens are only accepted as a bearer header, never in the URL.
+const eventsQuery = z.object({
+  types: zList(z.enum(EVENT_TYPES)).optional(),
+  access_token: optional(z.string()),
+});
+
+app.post("/events/token", checkDbConnection, requireRole('editor'), (req, res) => {
+  res.json({ token: signStreamToken(req.admin), expiresIn: EVENT_TOKEN_TTL_SECONDS });
+});
+
+/**
+ * Server-Sent Events stream of catalog changes, public except for the admin
+ * event types. ?types= limits the stream to some event types. Each message is
+ * `event: <type>` with JSON data { id, type, at, entityId, ...details }.
+ */
+app.get("/events", checkDbConnection, validate({ query: eventsQuery }), async (req, res) => {
+  try {
+    let admin = null;
+    const bearer = getBearerToken(req);
+    if (req.query.access_token || bearer) {
+      admin = req.query.access_token
+        ? await findAdminByToken(req.query.access_token, 'events')
+        : await findAdminByToken(bearer);
+      if (!admin) return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    const allowedTypes = admin ? EVENT_TYPES : EVENT_TYPES.filter(t => !ADMIN_EVENT_TYPES.includes(t));
+    const types = req.query.types && req.query.types.length > 0 ? req.query.types : allowedTypes;
+    const forbidden = types.filter(t => !allowedTypes.includes(t));
+    if (forbidden.length > 0) {
+      return res.status(401).json({ error: "Authentication required for these event types", types: forbidden });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stops nginx-style proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (event) => {
+      if (!types.includes(event.type)) return;
+      const data = JSON.stringify({ id: event.id, type: event.type, at: event.at, ...event.data });
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`);
+    };
+
+    // Reconnecting browsers send the last id they saw and get what they missed
+    const lastSeen = Number(req.get('Last-Event-ID'));
+    if (Number.isInteger(lastSeen)) recentEvents.filter(e => e.id > lastSeen).forEach(send);
+
+    catalogEvents.on('event', send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+    eventStreams.add(res);
+    req.log.info(`Event stream opened (${eventStreams.size} open${admin ? `, ${admin.username}` : ''})`);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      catalogEvents.off('event', send);
+      eventStreams.delete(res);
+    });
+  } catch (error) {
+    req.log.error('Error opening event stream', { err: error });
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Failed to open event stream" });
+  }
+});
+
+// ========== WEBHOOKS ==========
+// Change-feed events are POSTed as JSON to subscribed URLs. Every event sent
+// to a webhook is stored as a WebhookDelivery, retried with backoff until it
+// succeeds or runs out of attempts, and listed as that webhook's delivery log.
+
+// Wait before each retry; the delivery fails after the last one
+const WEBHOOK_RETRY_DELAYS_MS = [1, 5, 30, 120, 720].map(minutes => minutes * 60 * 1000);
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is left alone by the retry timer until the lease ends
+const WEBHOOK_LEASE_MS = 60 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>", receivers recompute it to verify
+const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const toWebhookPayload = (event) => ({ type: event.type, at: event.at, ...event.data });
+
+// Pending and due, moved forward by the lease so only one caller sends it
+const claimDelivery = (id) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: id, state: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_LEASE_MS) } },
+    { new: true }
+  );
+};
+
+const postWebhook = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date() };
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SmartHome-Webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    attempt.responseStatus = response.status;
+    if (!response.ok) attempt.error = `Responded with HTTP ${response.status}`;
+    // The response body is not used, drop it so the connection is released
+    if (response.body) await response.body.cancel();
+  } catch (e) {
+    if (e.name === 'TimeoutError') attempt.error = `No response within ${WEBHOOK_TIMEOUT_MS / 1000}s`;
+    else attempt.error = (e.cause && e.cause.message) || e.message;
+  }
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+};
+
+/**
+ * Sends one delivery if it is due and not claimed elsewhere, records the
+ * attempt and schedules the next retry. Returns the delivery, or null when
+ * there was nothing to send.
+ */
+const deliverWebhook = async (deliveryId) => {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook);
+  const skip = !webhook ? 'Webhook was deleted'
+    : !webhook.active && delivery.event !== 'ping' ? 'Webhook is disabled'
+    : null;
+  const attempt = skip ? { at: new Date(), error: skip } : await postWebhook(webhook, delivery);
+
+  delivery.attempts.push(attempt);
+  const retries = delivery.attempts.length - 1;
+  if (!attempt.error) {
+    delivery.state = 'succeeded';
+    delivery.nextAttemptAt = undefined;
+  } else if (skip || retries >= WEBHOOK_RETRY_DELAYS_MS.length) {
+    delivery.state = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_DELAYS_MS[retries]);
+  }
+  await delivery.save();
+
+  const target = webhook ? webhook.url : delivery.webhook;
+  if (attempt.error) logger.warn(`Webhook ${delivery.event} → ${target} failed (${delivery.state}): ${attempt.error}`);
+  else logger.info(`Webhook ${delivery.event} → ${target} (${attempt.responseStatus})`);
+  return delivery;
+};
+
+// Called by the retry timer in startServer
+const processDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ state: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(WEBHOOK_BATCH_SIZE)
+    .select('_id');
+  for (const { _id } of due) await deliverWebhook(_id);
+  return due.length;
+};
+
+const queueWebhookDeliveries = async (event) => {
+  if (mongoose.connection.readyState !== 1) return;
+  const webhooks = await Webhook.find({ active: true, events: event.type }).select('_id');
+  if (webhooks.length === 0) return;
+
+  const payload = toWebhookPayload(event);
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map(webhook => ({ webhook: webhook._id, event: event.type, payload }))
+  );
+  await Promise.all(deliveries.map(delivery => deliverWebhook(delivery._id)));
+};
+
+catalogEvents.on('event', (event) => {
+  if (!WEBHOOK_EVENT_TYPES.includes(event.type)) return;
+  queueWebhookDeliveries(event).catch(err => logger.error(`Could not queue ${event.type} webhooks`, { err }));
+});
+
+// --- Subscriptions ---
+
+const webhookUrl = z.string().trim().url().refine(url => /^https?:\/\//i.test(url), 'Must be an http or https URL');
+const webhookEvents = z.array(z.enum(WEBHOOK_EVENT_TYPES)).min(1).transform(events => [...new Set(events)]);
+// Omitted on create: a random secret is generated
+const webhookSecret = z.string().min(16);
+
+const createWebhookBody = z.object({
+  url: webhookUrl,
+  events: webhookEvents,
+  secret: optional(webhookSecret),
+  description: optional(z.string().trim()),
+  active: zBoolean().default(true),
+});
+
+// rotateSecret replaces the secret with a generated one and returns it
+const updateWebhookBody = z.object({
+  url: webhookUrl.optional(),
+  events: webhookEvents.optional(),
+  secret: optional(webhookSecret),
+  description: z.string().trim().optional(),
+  active: optional(zBoolean()),
+  rotateSecret: optional(zBoolean()),
+}).refine(body => !(body.secret && body.rotateSecret), { message: "Send either secret or rotateSecret", path: ['secret'] });
+
+const deliveryListQuery = z.object({
+  ...paginationQuery(50),
+  state: optional(z.enum(WEBHOOK_DELIVERY_STATES)),
+  event: optional(z.string()),
+});
+
+const deliveryParams = z.object({ id: zObjectId(), deliveryId: zObjectId() });
+
+// The secret is left out of toJSON, so it is added back where it may be shown
+const withSecret = (webhook) => ({ ...webhook.toJSON(), secret: webhook.secret });
+
+app.get("/webhooks", checkDbConnection, requireRole('owner'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 });
+    res.json({ webhooks, events: WEBHOOK_EVENT_TYPES });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch webhooks" });
+  }
+});
+
+app.post("/webhooks", checkDbConnection, requireRole('owner'), validate({ body: createWebhookBody }), async (req, res) => {
+  try {
+    const { url, events, secret, description, active } = req.body;
+    const webhook = new Webhook({
+      url,
+      events,
+      secret: secret || generateWebhookSecret(),
+      description,
+      active,
+      createdBy: { id: req.admin._id, username: req.admin.username },
+    });
+    await webhook.save();
+    req.log.info(`Webhook created: ${webhook.url} (${webhook.events.join(', ')})`);
+    res.status(201).json({ message: "Webhook created, store the secret now, it is not shown again", webhook: withSecret(webhook) });
+  } catch (error) {
+    req.log.error('Error creating webhook', { err: error });
+    res.status(500).json({ error: "Failed to create webhook", details: error.message });
+  }
+});
+
+app.get("/webhooks/:id", checkDbConnection, requireRole('owner'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { webhook: webhook._id } },
+      { $group: { _id: '$state', count: { $sum: 1 } } },
+    ]);
+    const deliveries = Object.fromEntries(WEBHOOK_DELIVERY_STATES.map(state => [state, 0]));
+    counts.forEach(({ _id, count }) => { deliveries[_id] = count; });
+    res.json({ webhook, deliveries });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch webhook" });
+  }
+});
+
+app.put("/webhooks/:id", checkDbConnection, requireRole('owner'), validate({ params: idParams, body: updateWebhookBody }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    const { rotateSecret, ...fields } = req.body;
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value !== undefined) webhook[field] = value;
+    });
+    if (rotateSecret) webhook.secret = generateWebhookSecret();
+    await webhook.save();
+
+    req.log.info(`Webhook updated: ${webhook.url}${rotateSecret ? ' (secret rotated)' : ''}`);
+    res.json({ message: "Webhook updated successfully", webhook: rotateSecret ? withSecret(webhook) : webhook });
+  } catch (error) {
+    req.log.error('Error updating webhook', { err: error });
+    res.status(500).json({ error: "Failed to update webhook", details: error.message });
+  }
+});
+
+app.delete("/webhooks/:id", checkDbConnection, requireRole('owner'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    req.log.info(`Webhook deleted: ${webhook.url}`);
+    res.json({ message: "Webhook deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete webhook" });
+  }
+});
+
+// --- Deliveries ---
+
+app.get("/webhooks/:id/deliveries", checkDbConnection, requireRole('owner'), validate({ params: idParams, query: deliveryListQuery }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select('_id');
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    const { page, limit, state, event } = req.query;
+    const filter = { webhook: webhook._id };
+    if (state) filter.state = state;
+    if (event) filter.event = event;
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+    res.json({ deliveries, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch deliveries" });
+  }
+});
+
+// Sends a ping event right away, also to disabled webhooks
+app.post("/webhooks/:id/test", checkDbConnection, requireRole('owner'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    const queued = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: 'ping',
+      payload: { type: 'ping', at: new Date().toISOString(), webhookId: webhook._id, events: webhook.events },
+    });
+    const delivery = await deliverWebhook(queued._id);
+    res.json({ delivery });
+  } catch (error) {
+    req.log.error('Error sending test webhook', { err: error });
+    res.status(500).json({ error: "Failed to send test webhook", details: error.message });
+  }
+});
+
+// Sends a delivery again now, a failed one gets one more attempt
+app.post("/webhooks/:id/deliveries/:deliveryId/retry", checkDbConnection, requireRole('owner'), validate({ params: deliveryParams }), async (req, res) => {
+  try {
+    const existing = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id });
+    if (!existing) return res.status(404).json({ error: "Delivery not found" });
+    if (existing.state === 'succeeded') return res.status(400).json({ error: "Delivery already succeeded" });
+
+    await WebhookDelivery.updateOne(
+      { _id: existing._id, state: existing.state },
+      { $set: { state: 'pending', nextAttemptAt: new Date() } }
+    );
+    const delivery = await deliverWebhook(existing._id);
+    if (!delivery) return res.status(409).json({ error: "Delivery is being sent, try again shortly" });
+    res.json({ delivery });
+  } catch (error) {
+    req.log.error('Error retrying webhook delivery', { err: error });
+    res.status(500).json({ error: "Failed to retry delivery", details: error.message });
+  }
+});
+
+// ========== ASSETS ==========
+// Every uploaded file has a row in the asset registry (see registerAsset),
+// removed again when the file is destroyed. Files no product, category or
+// site config points to any more — a destroy that failed, a crash between
+// upload and save — are orphans: reconcileAssets reports and deletes them.
+
+// publicId → url of every file in use: products (trashed ones and variants
+// included), categories, and the live and draft site config
+const collectReferencedAssets = async () => {
+  const referenced = new Map();
+  const add = (publicId, url) => {
+    if (publicId) referenced.set(publicId, url || '');
+  };
+
+  const products = Product.find({}, {
+    mainImage: 1, mainImagePublicId: 1, otherPhotos: 1, otherPhotosPublicIds: 1, 'variants.image': 1, 'variants.imagePublicId': 1,
+  }).lean().cursor();
+  for await (const product of products) {
+    add(product.mainImagePublicId, product.mainImage);
+    (product.otherPhotosPublicIds || []).forEach((publicId, i) => add(publicId, (product.otherPhotos || [])[i]));
+    (product.variants || []).forEach(variant => add(variant.imagePublicId, variant.image));
+  }
+
+  for (const category of await Category.find({}, { image: 1, imagePublicId: 1 }).lean()) {
+    add(category.imagePublicId, category.image);
+  }
+
+  for (const settings of await SiteConfig.find().lean()) {
+    for (const content of [settings, settings.draft || {}]) {
+      for (const field of SITE_IMAGE_FIELDS) add(content[`${field}PublicId`], content[field]);
+    }
+  }
+  return referenced;
+};
+
+// Run once by startServer: files uploaded before the registry existed are added if still in use
+const ensureAssetRegistry = async () => {
+  const referenced = await collectReferencedAssets();
+  if (referenced.size === 0) return;
+
+  const { upsertedCount } = await Asset.bulkWrite([...referenced].map(([publicId, url]) => ({
+    updateOne: { filter: { publicId }, update: { $setOnInsert: { url, driver: storage.name } }, upsert: true },
+  })));
+  if (upsertedCount > 0) logger.info(`Registered ${upsertedCount} existing assets`);
+};
+
+/**
+ * Finds registered files nothing points to and, unless dryRun, destroys
+ * them. Files younger than ASSET_GRACE_MINUTES are skipped because their
+ * upload may still be saving, as are files of another storage driver.
+ */
+const reconcileAssets = async ({ dryRun = false } = {}) => {
+  const referenced = await collectReferencedAssets();
+  const cutoff = new Date(Date.now() - ASSET_GRACE_MINUTES * 60 * 1000);
+
+  let scanned = 0;
+  let otherDriver = 0;
+  const orphans = [];
+  for await (const asset of Asset.find({ createdAt: { $lte: cutoff } }).sort({ createdAt: 1 }).cursor()) {
+    scanned++;
+    if (referenced.has(asset.publicId)) continue;
+    if (asset.driver !== storage.name) {
+      otherDriver++;
+      continue;
+    }
+    orphans.push(asset);
+  }
+
+  // Only the files that would be orphans were they older
+  let tooNew = 0;
+  for await (const { publicId } of Asset.find({ createdAt: { $gt: cutoff } }).select('publicId').lean().cursor()) {
+    if (!referenced.has(publicId)) tooNew++;
+  }
+
+  const failed = [];
+  if (!dryRun) {
+    for (const asset of orphans) {
+      try {
+        await storage.destroy(asset.publicId);
+        await Asset.deleteOne({ _id: asset._id });
+      } catch (e) {
+        failed.push({ publicId: asset.publicId, error: e.message });
+        await markDestroyFailed(asset.publicId, e);
+      }
+    }
+    if (orphans.length > 0) logger.info(`Removed ${orphans.length - failed.length} of ${orphans.length} orphaned assets`);
+  }
+
+  return {
+    dryRun,
+    scanned,
+    referenced: referenced.size,
+    skipped: { tooNew, otherDriver },
+    orphans: orphans.map(({ publicId, url, driver, createdAt, destroyError }) => ({ publicId, url, driver, createdAt, destroyError })),
+    deleted: dryRun ? 0 : orphans.length - failed.length,
+    failed,
+  };
+};
+
+// ?dryRun=true only reports what would be deleted
+app.post("/assets/reconcile", checkDbConnection, requireRole('owner'), validate({ query: dryRunInput }), async (req, res) => {
+  try {
+    const report = await reconcileAssets({ dryRun: req.query.dryRun });
+    res.json(report);
+  } catch (error) {
+    req.log.error('Error reconciling assets', { err: error });
+    res.status(500).json({ error: "Failed to reconcile assets", details: error.message });
+  }
+});
+
+// ========== AUDIT ==========
+
+// actor is a username, from/to are ISO dates
+const auditQuery = z.object({
+  ...paginationQuery(50),
+  ...dateRangeQuery,
+  entity: optional(z.enum(AUDIT_ENTITIES)),
+  entityId: optional(zObjectId()),
+  action: optional(z.enum(AUDIT_ACTIONS)),
+  actor: optional(z.string().trim().toLowerCase()),
+});
+
+app.get("/audit", checkDbConnection, requireRole('owner'), validate({ query: auditQuery }), async (req, res) => {
+  try {
+    const { entity, entityId, action, actor } = req.query;
+    const filter = {};
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (actor) filter['actor.username'] = actor;
+    const createdAt = createdAtRange(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    res.json(await fetchAuditEntries(filter, req.query));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+// --- Global Error Handler ---
+app.use((error, req, res, next) => {
+  // Too large, unexpected or not an image; multer has already removed the stored files
+  if (error instanceof multer.MulterError || error.uploadField) {
+    req.log.warn('Upload rejected', { reason: error.message });
+    const field = error.field || error.uploadField || '';
+    return res.status(400).json({ error: "Validation failed", fields: [{ location: 'files', field, message: error.message }] });
+  }
+  // Body parser errors, e.g. 413 for a body over JSON_BODY_LIMIT or 400 for malformed JSON
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    req.log.warn('Request rejected', { reason: error.message });
+    return res.status(error.status).json({ error: error.message });
+  }
+  req.log.error('Unhandled error', { err: error });
+  res.status(500).json({ error: error.message || 'Something went wrong!' });
+});
+
+// --- 404 ---
+app.use((req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+});
+
+// server.js connects and listens; tests import the app without starting it
+export {
+  app,
+  setStorageDriver,
+  eventStreams,
+  ensureBootstrapAdmin,
+  ensureNumerationIndex,
+  ensureVariantSummaries,
+  ensureAssetRegistry,
+  reconcileAssets,
+  purgeExpiredTrash,
+  publishScheduledSettings,
+  processDueDeliveries,
+};
@@ -0,0 +1,128 @@
+// Reads and checks the environment once. app.js, server.js and the logger take
+// their settings from here, so a typo in .env stops the start with a list of
+// what is wrong instead of failing somewhere later.
+import dotenv from 'dotenv';
+import { z } from 'zod';
+
+dotenv.config({ quiet: true });
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid environment:\n${problems.map(p => `  ${p.variable}: ${p.message}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Unset and empty variables fall back to the default
+const unlessBlank = (schema) => z.preprocess(value => (value === '' ? undefined : value), schema);
+const numberVar = (fallback, schema = z.number().int().min(0)) => z.preprocess(
+  value => (value === undefined || value === '' ? fallback : Number(value)),
+  schema
+);
+const stringVar = (fallback) => z.string().trim().optional().transform(value => value || fallback);
+const listVar = (fallback) => stringVar(fallback).transform(value => value.split(',').map(v => v.trim()).filter(Boolean));
+// A size express understands, e.g. 500kb or 1mb
+const sizeVar = (fallback) => stringVar(fallback).pipe(z.string().regex(/^\d+(\.\d+)?\s*(b|kb|mb|gb)$/i, 'Expected a size like 500kb or 1mb'));
+
+const envSchema = z.object({
+  // production requires CORS_ORIGINS
+  NODE_ENV: stringVar('development'),
+  MONGODB_URI: unlessBlank(z.string().trim().regex(/^mongodb(\+srv)?:\/\//, 'Expected a mongodb:// or mongodb+srv:// URI').optional()),
+  PORT: numberVar(5001, z.number().int().min(1).max(65535)),
+
+  // New drivers are added here and to STORAGE_DRIVERS in app.js
+  STORAGE_DRIVER: unlessBlank(z.enum(['cloudinary', 'local']).default('cloudinary')),
+  CLOUDINARY_CLOUD_NAME: z.string().trim().optional(),
+  CLOUDINARY_API_KEY: z.string().trim().optional(),
+  CLOUDINARY_API_SECRET: z.string().trim().optional(),
+  UPLOADS_DIR: stringVar('uploads'),
+  PUBLIC_BASE_URL: unlessBlank(z.string().trim().url().optional()),
+
+  JWT_SECRET: z.string({ required_error: 'Required' }).min(1, 'Required'),
+  JWT_EXPIRES_IN: stringVar('12h'),
+  ADMIN_USERNAME: z.string().trim().optional(),
+  ADMIN_PASSWORD: z.string().optional(),
+
+  // Locales the content can be translated into; base fields hold DEFAULT_LOCALE
+  SUPPORTED_LOCALES: listVar('en'),
+  DEFAULT_LOCALE: unlessBlank(z.string().trim().toLowerCase().optional()),
+
+  // Trashed products are purged after this many days, 0 keeps them until purged by hand
+  TRASH_RETENTION_DAYS: numberVar(30),
+
+  // Requests per client IP in every RATE_LIMIT_WINDOW_MINUTES, 0 turns a limit off.
+  // Public inquiries and logins have their own, stricter limits.
+  RATE_LIMIT_WINDOW_MINUTES: numberVar(15, z.number().int().min(1)),
+  RATE_LIMIT_READ: numberVar(1000),
+  RATE_LIMIT_WRITE: numberVar(300),
+  RATE_LIMIT_UPLOAD: numberVar(60),
+  RATE_LIMIT_LOGIN: numberVar(10),
+  INQUIRY_RATE_LIMIT: numberVar(5),
+  // Number of proxies in front of the app (or an express "trust proxy" value)
+  TRUST_PROXY: z.string().trim().optional()
+    .transform(value => (value && Number.isInteger(Number(value)) ? Number(value) : value || undefined)),
+  // Allowed browser origins; unset allows every origin, which production refuses
+  CORS_ORIGINS: listVar(''),
+  JSON_BODY_LIMIT: sizeVar('1mb'),
+  // POST /products/import only, for whole catalogs
+  IMPORT_BODY_LIMIT: sizeVar('20mb'),
+
+  // Public read cache: memory (default) or none, see CACHE in app.js
+  CACHE_DRIVER: unlessBlank(z.enum(['memory', 'none']).default('memory')),
+  CACHE_TTL_SECONDS: numberVar(300, z.number().int().min(1)),
+  CACHE_MAX_ENTRIES: numberVar(500, z.number().int().min(1)),
+
+  // Unreferenced uploads younger than this are never treated as orphans, see ASSETS
+  ASSET_GRACE_MINUTES: numberVar(60),
+  // Hours between automatic orphan cleanups, 0 only cleans up through POST /assets/reconcile
+  ASSET_GC_INTERVAL_HOURS: numberVar(0, z.number().min(0)),
+
+  LOG_LEVEL: unlessBlank(z.enum(LOG_LEVELS).default('info')),
+  // json: one object per line for log collectors; pretty: readable lines for development
+  LOG_FORMAT: unlessBlank(z.enum(['json', 'pretty']).default('json')),
+}).superRefine((env, ctx) => {
+  if (env.STORAGE_DRIVER === 'cloudinary') {
+    for (const variable of ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET']) {
+      if (!env[variable]) ctx.addIssue({ code: z.ZodIssueCode.custom, path: [variable], message: 'Required when STORAGE_DRIVER is cloudinary' });
+    }
+  }
+  if (env.NODE_ENV === 'production' && env.CORS_ORIGINS.length === 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['CORS_ORIGINS'], message: 'Required when NODE_ENV is production' });
+  }
+  if (Boolean(env.ADMIN_USERNAME) !== Boolean(env.ADMIN_PASSWORD)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [env.ADMIN_USERNAME ? 'ADMIN_PASSWORD' : 'ADMIN_USERNAME'], message: 'ADMIN_USERNAME and ADMIN_PASSWORD are set together' });
+  }
+}).transform(env => {
+  const SUPPORTED_LOCALES = [...new Set(
+    [env.DEFAULT_LOCALE, ...env.SUPPORTED_LOCALES].filter(Boolean).map(l => l.toLowerCase())
+  )];
+  return {
+    ...env,
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE: SUPPORTED_LOCALES[0],
+    PUBLIC_BASE_URL: (env.PUBLIC_BASE_URL || `http://localhost:${env.PORT}`).replace(/\/+$/, ''),
+  };
+});
+
+const problemsOf = (error) => error.issues.map(issue => ({
+  variable: issue.path.join('.'),
+  message: issue.message,
+}));
+
+const loadConfig = (env = process.env) => {
+  const result = envSchema.safeParse(env);
+  if (!result.success) throw new ConfigError(problemsOf(result.error));
+  return Object.freeze(result.data);
+};
+
+const config = loadConfig();
+
+// What only the server needs; tests import the app without a database URI
+const checkServerConfig = (settings = config) => {
+  if (!settings.MONGODB_URI) throw new ConfigError([{ variable: 'MONGODB_URI', message: 'Required' }]);
+};
+
+export { config, loadConfig, checkServerConfig, ConfigError, LOG_LEVELS };
@@ -0,0 +1,54 @@
+// Structured logging: every line is one JSON object with time, level, msg and
+// any fields passed along, so log collectors can filter by requestId or status.
+// LOG_FORMAT=pretty prints readable lines instead, for local development.
+import { config, LOG_LEVELS } from './config.js';
+
+const LEVEL_ICONS = { debug: '🔍', info: '✅', warn: '⚠️ ', error: '❌' };
+
+// Errors lose their message and stack in JSON.stringify
+const serialize = (value) => {
+  if (value instanceof Error) {
+    const { name, message, stack, code, status } = value;
+    return { name, message, stack, code, status };
+  }
+  return value;
+};
+
+const formatters = {
+  json: (entry) => JSON.stringify(entry, (key, value) => serialize(value)),
+  pretty: ({ time, level, msg, ...fields }) => {
+    const details = Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => {
+        const serialized = serialize(value);
+        if (value instanceof Error) return `\n${serialized.stack || serialized.message}`;
+        return ` ${key}=${typeof serialized === 'string' ? serialized : JSON.stringify(serialized)}`;
+      });
+    return `${time.slice(11, 19)} ${LEVEL_ICONS[level]} ${msg}${details.join('')}`;
+  },
+};
+
+const threshold = LOG_LEVELS.indexOf(config.LOG_LEVEL);
+const format = formatters[config.LOG_FORMAT];
+
+const write = (level, bindings, msg, fields) => {
+  if (LOG_LEVELS.indexOf(level) < threshold) return;
+  const line = format({ time: new Date().toISOString(), level, msg, ...bindings, ...fields });
+  (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * logger.info(msg, fields) and friends. child(bindings) returns a logger
+ * that adds the bindings to every line, e.g. the requestId of req.log.
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  child: (more) => createLogger({ ...bindings, ...more }),
+});
+
+const logger = createLogger();
+
+export { logger };
@@ -1,565 +1,168 @@
-import express from "express";
-import cors from "cors";
-import multer from "multer";
 import mongoose from 'mongoose';
-import { v2 as cloudinary } from 'cloudinary';
-import { CloudinaryStorage } from 'multer-storage-cloudinary';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const safeCloudinaryDestroy = async (publicId, resourceType = 'image') => {
-  if (publicId) {
-    try {
-      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
-    } catch (e) {
-      console.warn(`Could not destroy Cloudinary asset ${publicId}:`, e);
-    }
-  }
-};
-
-// --- CLOUDINARY ---
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-const MONGODB_URI = process.env.MONGODB_URI;
-const PORT = process.env.PORT || 5001;
-
-// --- SCHEMAS ---
-
-const productSchema = new mongoose.Schema({
-  name: { type: String, required: true, trim: true },
-  price: { type: Number, required: true, min: 0 },
-  numeration: { type: Number, required: false, min: 0 }, // 🆕 OPTIONAL NUMERATION FIELD
-  mainImage: { type: String, required: true },
-  mainImagePublicId: { type: String, required: true },
-  otherPhotos: [{ type: String }],
-  otherPhotosPublicIds: [{ type: String }],
-  description: { type: String, required: false },
-  classifications: { type: String, required: false, trim: true },
-  status: {
-    type: String,
-    enum: ['available', 'restoring', 'on_the_way', 'out_of_stock', 'discontinued'],
-    default: 'available',
-    required: false
-  },
-  statusNote: { type: String, trim: true, required: false },
-  expectedArrival: { type: Date, required: false },
-  uploadDate: { type: Date, default: Date.now },
-}, { timestamps: true });
-
-// Uses 'siteconfigs' collection — completely separate from old 'sitesettings'
-const siteConfigSchema = new mongoose.Schema({
-  landingTitle: { type: String, default: '' },
-  landingDescription: { type: String, default: '' },
-  aboutText: { type: String, default: '' },
-  servicesText: { type: String, default: '' },
-  landingBanner: { type: String, default: '' },
-  landingBannerPublicId: { type: String, default: '' },
-  logo: { type: String, default: '' },
-  logoPublicId: { type: String, default: '' },
-}, { timestamps: true });
-
-// --- MODELS ---
-const Product = mongoose.model('Product', productSchema);
-const SiteConfig = mongoose.model('SiteConfig', siteConfigSchema);
-
-// --- EXPRESS ---
-const app = express();
-
-app.use(cors({
-  origin: '*',
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
-  allowedHeaders: ["Content-Type", "Authorization"],
-  credentials: false
-}));
-
-app.use(express.json({ limit: '100mb' }));
-app.use(express.urlencoded({ extended: true, limit: '100mb' }));
-
-const checkDbConnection = (req, res, next) => {
-  if (mongoose.connection.readyState !== 1) {
-    return res.status(503).json({ error: "Database unavailable" });
-  }
-  next();
+import { config, checkServerConfig } from './config.js';
+import { logger } from './logger.js';
+import {
+  app,
+  eventStreams,
+  ensureBootstrapAdmin,
+  ensureNumerationIndex,
+  ensureVariantSummaries,
+  ensureAssetRegistry,
+  reconcileAssets,
+  purgeExpiredTrash,
+  publishScheduledSettings,
+  processDueDeliveries,
+} from './app.js';
+
+const { MONGODB_URI, PORT, ASSET_GC_INTERVAL_HOURS, CORS_ORIGINS } = config;
+
+// Readable overview for local development, LOG_FORMAT=pretty
+const printEndpoints = () => {
+  console.log('\n📋 Endpoints:');
+  console.log('   GET    /                        - Health check');
+  console.log('   GET    /health/live             - Liveness probe');
+  console.log('   GET    /health/ready            - Readiness probe (database and storage)');
+  console.log('   POST   /auth/login              - Admin login (returns token)');
+  console.log('   GET    /auth/me                 - Current admin 🔒');
+  console.log('   GET    /admins                  - List admins 🔒 owner');
+  console.log('   POST   /admins                  - Create admin 🔒 owner');
+  console.log('   DELETE /admins/:id              - Delete admin 🔒 owner');
+  console.log('   GET    /categories              - List categories (query: ?tree=true)');
+  console.log('   GET    /categories/:idOrSlug    - Get category with children');
+  console.log('   POST   /categories              - Create category 🔒');
+  console.log('   PUT    /categories/:id          - Update category 🔒');
+  console.log('   DELETE /categories/:id          - Delete category 🔒 owner');
+  console.log('   POST   /categories/migrate-classifications - Classifications → categories 🔒 owner');
+  console.log('   GET    /products                - Search products (query: ?q=&status=&category=&minPrice=&maxPrice=&sort=&page=&limit=)');
+  console.log('   POST   /products/upload         - Create product 🔒');
+  console.log('   GET    /products/export         - Export catalog (query: ?format=json|csv) 🔒');
+  console.log('   POST   /products/import         - Import JSON/CSV (query: ?dryRun=true) 🔒');
+  console.log('   GET    /products/:id            - Get single product');
+  console.log('   PUT    /products/:id            - Update product 🔒');
+  console.log('   PATCH  /products/:id/status     - Update product status 🔒');
+  console.log('   PATCH  /products/:id/numeration - Update product numeration (mode: set|insert) 🔒');
+  console.log('   PUT    /products/numeration     - Renumber products in the given order 🔒');
+  console.log('   POST   /products/:id/photos     - Append gallery photos 🔒');
+  console.log('   DELETE /products/:id/photos/:publicId - Delete one gallery photo 🔒');
+  console.log('   PUT    /products/:id/photos/order - Reorder gallery 🔒');
+  console.log('   POST   /products/:id/photos/:publicId/promote - Make gallery photo the main image 🔒');
+  console.log('   GET    /products/:id/history    - Product change history 🔒');
+  console.log('   POST   /products/:id/history/:revision/restore - Restore product revision 🔒');
+  console.log('   GET    /products/:id/variants   - List product variants');
+  console.log('   POST   /products/:id/variants   - Add variant 🔒');
+  console.log('   PUT    /products/:id/variants/:variantId - Update variant 🔒');
+  console.log('   DELETE /products/:id/variants/:variantId - Delete variant 🔒');
+  console.log('   PUT    /products/:id/sale       - Set sale price and window 🔒');
+  console.log('   DELETE /products/:id/sale       - Remove sale 🔒');
+  console.log('   GET    /products/:id/prices     - Price history 🔒');
+  console.log('   POST   /products/:id/stock/movements - Record stock movement 🔒');
+  console.log('   GET    /products/:id/stock/movements - Stock movement history 🔒');
+  console.log('   DELETE /products/:id            - Move product to trash 🔒 owner');
+  console.log('   GET    /products/trash          - List trashed products 🔒');
+  console.log('   POST   /products/:id/restore    - Restore product from trash 🔒');
+  console.log('   DELETE /products/:id/purge      - Permanently delete trashed product 🔒 owner');
+  console.log('   GET    /products/status/:status - Get by status (same query options)');
+  console.log('   GET    /stock/report            - Overdue arrivals and low stock 🔒');
+  console.log('   GET    /stats/catalog           - Counts by status, content gaps, value totals 🔒');
+  console.log('   GET    /stats/content-gaps      - Products missing description or photos (query: ?missing=) 🔒');
+  console.log('   GET    /stats/views             - Most viewed products (query: ?from=&to=&limit=) 🔒');
+  console.log('   GET    /promotions              - List promotions (query: ?state=scheduled|running|ended) 🔒');
+  console.log('   POST   /promotions              - Create promotion 🔒');
+  console.log('   GET    /promotions/:id          - Get promotion 🔒');
+  console.log('   PUT    /promotions/:id          - Update promotion 🔒');
+  console.log('   DELETE /promotions/:id          - Delete promotion 🔒');
+  console.log('   POST   /inquiries               - Send inquiry (public, rate limited)');
+  console.log('   GET    /inquiries               - List inquiries (query: ?state=&q=&from=&to=) 🔒');
+  console.log('   GET    /inquiries/:id           - Get inquiry 🔒');
+  console.log('   PATCH  /inquiries/:id           - Change state / add note 🔒');
+  console.log('   GET    /settings                - Get published site config');
+  console.log('   PUT    /settings                - Draft: all settings 🔒 owner');
+  console.log('   PATCH  /settings/landing        - Draft: landing text 🔒 owner');
+  console.log('   PATCH  /settings/about          - Draft: about text 🔒 owner');
+  console.log('   PATCH  /settings/services       - Draft: services text 🔒 owner');
+  console.log('   PATCH  /settings/banner         - Draft: banner image 🔒 owner');
+  console.log('   PATCH  /settings/logo           - Draft: logo image 🔒 owner');
+  console.log('   GET    /settings/preview        - Draft preview 🔒 owner');
+  console.log('   POST   /settings/publish        - Publish draft now 🔒 owner');
+  console.log('   PUT    /settings/schedule       - Schedule draft publish 🔒 owner');
+  console.log('   DELETE /settings/schedule       - Cancel scheduled publish 🔒 owner');
+  console.log('   POST   /settings/draft/discard  - Reset draft to live 🔒 owner');
+  console.log('   GET    /settings/history        - Settings change history 🔒 owner');
+  console.log('   POST   /settings/history/:revision/restore - Restore settings revision 🔒 owner');
+  console.log('   GET    /events                  - Live change feed, Server-Sent Events (query: ?types=&access_token=)');
+  console.log('   POST   /events/token            - Short-lived token for /events 🔒');
+  console.log('   GET    /webhooks                - List webhooks 🔒 owner');
+  console.log('   POST   /webhooks                - Create webhook (returns secret) 🔒 owner');
+  console.log('   GET    /webhooks/:id            - Get webhook with delivery counts 🔒 owner');
+  console.log('   PUT    /webhooks/:id            - Update webhook / rotate secret 🔒 owner');
+  console.log('   DELETE /webhooks/:id            - Delete webhook 🔒 owner');
+  console.log('   GET    /webhooks/:id/deliveries - Delivery log (query: ?state=&event=) 🔒 owner');
+  console.log('   POST   /webhooks/:id/test       - Send ping event 🔒 owner');
+  console.log('   POST   /webhooks/:id/deliveries/:deliveryId/retry - Resend delivery 🔒 owner');
+  console.log('   POST   /assets/reconcile        - Delete orphaned uploads (query: ?dryRun=true) 🔒 owner');
+  console.log('   GET    /audit                   - Audit log (query: ?entity=&entityId=&action=&actor=&from=&to=) 🔒 owner');
+  console.log('');
 };
 
-// --- MULTER / CLOUDINARY ---
-const imageStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'smarthome-products',
-    allowed_formats: ['jpg', 'png', 'jpeg', 'gif', 'webp', 'svg'],
-    public_id: (req, file) => {
-      const timestamp = Date.now();
-      const safeName = file.originalname.replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
-      return `${timestamp}-${safeName.split('.')[0]}`;
-    },
-  }
-});
-
-const uploadImage = multer({
-  storage: imageStorage,
-  limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  }
-});
-
-// --- HEALTH CHECK ---
-app.get("/", (req, res) => {
-  res.json({
-    message: "SmartHome Products API ✅",
-    timestamp: new Date().toISOString(),
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    readyState: mongoose.connection.readyState
-  });
-});
-
-// ========== PRODUCTS ==========
-
-app.post("/products/upload", checkDbConnection, uploadImage.fields([
-  { name: 'mainImage', maxCount: 1 },
-  { name: 'otherPhotos', maxCount: 10 }
-]), async (req, res) => {
-  console.log('📦 Product upload request');
-  try {
-    const { name, price, numeration, description, classifications, status, statusNote, expectedArrival } = req.body;
-
-    if (!name) return res.status(400).json({ error: "Product name is required" });
-    if (!price || isNaN(parseFloat(price))) return res.status(400).json({ error: "Valid price is required" });
-    if (!req.files || !req.files.mainImage) return res.status(400).json({ error: "Main image is required" });
-
-    const mainImageFile = req.files.mainImage[0];
-    const otherPhotosFiles = req.files.otherPhotos || [];
-
-    const productData = {
-      name: name.trim(),
-      price: parseFloat(price),
-      mainImage: mainImageFile.path,
-      mainImagePublicId: mainImageFile.filename,
-      otherPhotos: otherPhotosFiles.map(f => f.path),
-      otherPhotosPublicIds: otherPhotosFiles.map(f => f.filename),
-      description: description || '',
-      classifications: classifications ? classifications.trim() : '',
-    };
-
-    // 🆕 ADD NUMERATION IF PROVIDED
-    if (numeration !== undefined && numeration !== null && numeration !== '') {
-      const numerationValue = parseInt(numeration);
-      if (!isNaN(numerationValue) && numerationValue >= 0) {
-        productData.numeration = numerationValue;
-      }
-    }
-
-    if (status) productData.status = status;
-    if (statusNote) productData.statusNote = statusNote.trim();
-    if (expectedArrival) productData.expectedArrival = new Date(expectedArrival);
-
-    const newProduct = new Product(productData);
-    await newProduct.save();
-    console.log(`✅ Product created: ${newProduct._id}${productData.numeration !== undefined ? ` (numeration: ${productData.numeration})` : ''}`);
-    res.status(201).json({ message: "Product created successfully!", product: newProduct });
-  } catch (error) {
-    console.error('❌ Error creating product:', error);
-    res.status(500).json({ error: "Failed to create product", details: error.message });
-  }
-});
-
-app.get("/products", checkDbConnection, async (req, res) => {
-  try {
-    const { status, sort } = req.query;
-    const filter = status ? { status } : {};
-
-    // 🆕 SORTING OPTIONS
-    let sortOptions = { uploadDate: -1 }; // Default: newest first
-
-    if (sort === 'numeration') {
-      // Sort by numeration ascending, then by uploadDate for items without numeration
-      sortOptions = { numeration: 1, uploadDate: -1 };
-    } else if (sort === 'numeration_desc') {
-      // Sort by numeration descending
-      sortOptions = { numeration: -1, uploadDate: -1 };
-    }
-
-    const products = await Product.find(filter).sort(sortOptions);
-    res.json({ products });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to fetch products" });
-  }
-});
-
-app.get("/products/:id", checkDbConnection, async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found" });
-    res.json({ product });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to fetch product" });
-  }
-});
-
-app.put("/products/:id", checkDbConnection, uploadImage.fields([
-  { name: 'mainImage', maxCount: 1 },
-  { name: 'otherPhotos', maxCount: 10 }
-]), async (req, res) => {
-  try {
-    const { name, price, numeration, description, classifications, status, statusNote, expectedArrival } = req.body;
-    const product = await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found" });
-
-    if (name) product.name = name.trim();
-    if (price !== undefined) {
-      const parsedPrice = parseFloat(price);
-      if (isNaN(parsedPrice)) return res.status(400).json({ error: "Invalid price value" });
-      product.price = parsedPrice;
-    }
-
-    // 🆕 UPDATE NUMERATION
-    if (numeration !== undefined) {
-      if (numeration === null || numeration === '') {
-        // Remove numeration if empty
-        product.numeration = undefined;
-      } else {
-        const numerationValue = parseInt(numeration);
-        if (!isNaN(numerationValue) && numerationValue >= 0) {
-          product.numeration = numerationValue;
-        }
-      }
-    }
-
-    if (description !== undefined) product.description = description;
-    if (classifications !== undefined) product.classifications = classifications.trim();
-    if (status !== undefined) product.status = status;
-    if (statusNote !== undefined) product.statusNote = statusNote.trim();
-    if (expectedArrival !== undefined) {
-      product.expectedArrival = expectedArrival ? new Date(expectedArrival) : null;
-    }
-
-    if (req.files && req.files.mainImage) {
-      await safeCloudinaryDestroy(product.mainImagePublicId);
-      const f = req.files.mainImage[0];
-      product.mainImage = f.path;
-      product.mainImagePublicId = f.filename;
-    }
-
-    if (req.files && req.files.otherPhotos) {
-      for (const publicId of product.otherPhotosPublicIds) {
-        await safeCloudinaryDestroy(publicId);
-      }
-      const otherPhotosFiles = req.files.otherPhotos;
-      product.otherPhotos = otherPhotosFiles.map(f => f.path);
-      product.otherPhotosPublicIds = otherPhotosFiles.map(f => f.filename);
-    }
-
-    await product.save();
-    console.log(`✅ Product updated: ${req.params.id}${product.numeration !== undefined ? ` (numeration: ${product.numeration})` : ''}`);
-    res.json({ message: "Product updated successfully", product });
-  } catch (error) {
-    console.error('❌ Error updating product:', error);
-    res.status(500).json({ error: "Failed to update product" });
-  }
-});
-
-app.patch("/products/:id/status", checkDbConnection, async (req, res) => {
-  try {
-    const { status, statusNote, expectedArrival } = req.body;
-    const product = await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found" });
-
-    const validStatuses = ['available', 'restoring', 'on_the_way', 'out_of_stock', 'discontinued'];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({ error: "Invalid status", validStatuses });
-    }
-
-    if (status !== undefined) product.status = status;
-    if (statusNote !== undefined) product.statusNote = statusNote.trim();
-    if (expectedArrival !== undefined) {
-      product.expectedArrival = expectedArrival ? new Date(expectedArrival) : null;
-    }
-
-    await product.save();
-    res.json({ message: "Product status updated successfully", product });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to update product status" });
-  }
-});
-
-// 🆕 NEW ENDPOINT TO UPDATE JUST NUMERATION
-app.patch("/products/:id/numeration", checkDbConnection, async (req, res) => {
-  try {
-    const { numeration } = req.body;
-    const product = await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found" });
-
-    if (numeration === null || numeration === undefined || numeration === '') {
-      product.numeration = undefined;
-    } else {
-      const numerationValue = parseInt(numeration);
-      if (isNaN(numerationValue) || numerationValue < 0) {
-        return res.status(400).json({ error: "Numeration must be a positive number" });
-      }
-      product.numeration = numerationValue;
-    }
-
-    await product.save();
-    console.log(`✅ Product numeration updated: ${req.params.id} → ${product.numeration || 'removed'}`);
-    res.json({ message: "Product numeration updated successfully", product });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to update product numeration" });
-  }
-});
-
-app.delete("/products/:id", checkDbConnection, async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found" });
-
-    await safeCloudinaryDestroy(product.mainImagePublicId);
-    for (const publicId of product.otherPhotosPublicIds) {
-      await safeCloudinaryDestroy(publicId);
-    }
-
-    await Product.findByIdAndDelete(req.params.id);
-    console.log(`✅ Product deleted: ${req.params.id}`);
-    res.json({ message: "Product deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to delete product" });
-  }
-});
-
-app.get("/products/status/:status", checkDbConnection, async (req, res) => {
+// --- START ---
+const startServer = async () => {
   try {
-    const { status } = req.params;
-    const { sort } = req.query;
-    const validStatuses = ['available', 'restoring', 'on_the_way', 'out_of_stock', 'discontinued'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: "Invalid status", validStatuses });
-    }
-
-    // 🆕 APPLY SORTING
-    let sortOptions = { uploadDate: -1 };
-    if (sort === 'numeration') {
-      sortOptions = { numeration: 1, uploadDate: -1 };
-    } else if (sort === 'numeration_desc') {
-      sortOptions = { numeration: -1, uploadDate: -1 };
-    }
+    checkServerConfig();
+    // config.js refuses this in production
+    if (CORS_ORIGINS.length === 0) logger.warn('CORS_ORIGINS is not set, every origin may call the API');
 
-    const products = await Product.find({ status }).sort(sortOptions);
-    res.json({ products, count: products.length });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to fetch products" });
-  }
-});
+    logger.info('Connecting to MongoDB', { uri: MONGODB_URI.replace(/\/\/([^:]+):([^@]+)@/, '//$1:****@') });
 
-// ========== SITE CONFIG ==========
+    await mongoose.connect(MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
 
-const getOrCreateConfig = async () => {
-  let config = await SiteConfig.findOne();
-  if (!config) {
-    config = new SiteConfig();
-    await config.save();
-    console.log('✅ Created fresh site config');
-  }
-  return config;
-};
+    logger.info('Connected to MongoDB', { database: mongoose.connection.db.databaseName });
 
-app.get("/settings", checkDbConnection, async (req, res) => {
-  try {
-    const settings = await getOrCreateConfig();
-    res.json({ settings });
-  } catch (error) {
-    console.error('❌ Error fetching config:', error);
-    res.status(500).json({ error: "Failed to fetch site settings", details: error.message });
-  }
-});
+    await ensureBootstrapAdmin();
+    await ensureNumerationIndex();
+    await ensureVariantSummaries();
+    await ensureAssetRegistry();
 
-app.put("/settings", checkDbConnection, uploadImage.fields([
-  { name: 'landingBanner', maxCount: 1 },
-  { name: 'logo', maxCount: 1 }
-]), async (req, res) => {
-  try {
-    const { landingTitle, landingDescription, aboutText, servicesText } = req.body;
-    const settings = await getOrCreateConfig();
+    const runTrashPurge = () => purgeExpiredTrash().catch(err => logger.error('Trash purge failed', { err }));
+    runTrashPurge();
+    const trashPurgeTimer = setInterval(runTrashPurge, 60 * 60 * 1000);
+    trashPurgeTimer.unref();
 
-    if (landingTitle !== undefined) settings.landingTitle = landingTitle;
-    if (landingDescription !== undefined) settings.landingDescription = landingDescription;
-    if (aboutText !== undefined) settings.aboutText = aboutText;
-    if (servicesText !== undefined) settings.servicesText = servicesText;
+    const runScheduledPublish = () => publishScheduledSettings().catch(err => logger.error('Scheduled publish failed', { err }));
+    const publishTimer = setInterval(runScheduledPublish, 60 * 1000);
+    publishTimer.unref();
 
-    if (req.files && req.files.landingBanner) {
-      await safeCloudinaryDestroy(settings.landingBannerPublicId);
-      const f = req.files.landingBanner[0];
-      settings.landingBanner = f.path;
-      settings.landingBannerPublicId = f.filename;
-    }
+    const runWebhookRetries = () => processDueDeliveries().catch(err => logger.error('Webhook retries failed', { err }));
+    runWebhookRetries();
+    const webhookTimer = setInterval(runWebhookRetries, 30 * 1000);
+    webhookTimer.unref();
 
-    if (req.files && req.files.logo) {
-      await safeCloudinaryDestroy(settings.logoPublicId);
-      const f = req.files.logo[0];
-      settings.logo = f.path;
-      settings.logoPublicId = f.filename;
+    // Off unless ASSET_GC_INTERVAL_HOURS is set; POST /assets/reconcile runs it on demand
+    let assetTimer = null;
+    if (ASSET_GC_INTERVAL_HOURS > 0) {
+      const runAssetCleanup = () => reconcileAssets({ dryRun: false }).catch(err => logger.error('Asset cleanup failed', { err }));
+      assetTimer = setInterval(runAssetCleanup, ASSET_GC_INTERVAL_HOURS * 60 * 60 * 1000);
+      assetTimer.unref();
     }
 
-    await settings.save();
-    console.log('✅ Site config updated');
-    res.json({ message: "Site settings updated successfully", settings });
-  } catch (error) {
-    console.error('❌ Error updating config:', error);
-    res.status(500).json({ error: "Failed to update site settings", details: error.message });
-  }
-});
-
-app.patch("/settings/landing", checkDbConnection, async (req, res) => {
-  try {
-    const { landingTitle, landingDescription } = req.body;
-    const settings = await getOrCreateConfig();
-
-    if (landingTitle !== undefined) settings.landingTitle = landingTitle;
-    if (landingDescription !== undefined) settings.landingDescription = landingDescription;
-
-    await settings.save();
-    console.log('✅ Landing text updated');
-    res.json({ message: "Landing text updated successfully", settings });
-  } catch (error) {
-    console.error('❌ Error updating landing:', error);
-    res.status(500).json({ error: "Failed to update landing text", details: error.message });
-  }
-});
-
-app.patch("/settings/about", checkDbConnection, async (req, res) => {
-  try {
-    const { aboutText } = req.body;
-    const settings = await getOrCreateConfig();
-
-    if (aboutText !== undefined) settings.aboutText = aboutText;
-
-    await settings.save();
-    console.log('✅ About text updated');
-    res.json({ message: "About text updated successfully", settings });
-  } catch (error) {
-    console.error('❌ Error updating about:', error);
-    res.status(500).json({ error: "Failed to update about text", details: error.message });
-  }
-});
-
-app.patch("/settings/services", checkDbConnection, async (req, res) => {
-  try {
-    const { servicesText } = req.body;
-    const settings = await getOrCreateConfig();
-
-    if (servicesText !== undefined) settings.servicesText = servicesText;
-
-    await settings.save();
-    console.log('✅ Services text updated');
-    res.json({ message: "Services text updated successfully", settings });
-  } catch (error) {
-    console.error('❌ Error updating services:', error);
-    res.status(500).json({ error: "Failed to update services text", details: error.message });
-  }
-});
-
-app.patch("/settings/banner", checkDbConnection, uploadImage.single('landingBanner'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: "Landing banner image is required" });
-
-    const settings = await getOrCreateConfig();
-    await safeCloudinaryDestroy(settings.landingBannerPublicId);
-
-    settings.landingBanner = req.file.path;
-    settings.landingBannerPublicId = req.file.filename;
-
-    await settings.save();
-    console.log('✅ Banner updated');
-    res.json({ message: "Landing banner updated successfully", settings });
-  } catch (error) {
-    console.error('❌ Error updating banner:', error);
-    res.status(500).json({ error: "Failed to update landing banner", details: error.message });
-  }
-});
-
-app.patch("/settings/logo", checkDbConnection, uploadImage.single('logo'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: "Logo image is required" });
-
-    const settings = await getOrCreateConfig();
-    await safeCloudinaryDestroy(settings.logoPublicId);
-
-    settings.logo = req.file.path;
-    settings.logoPublicId = req.file.filename;
-
-    await settings.save();
-    console.log('✅ Logo updated');
-    res.json({ message: "Logo updated successfully", settings });
-  } catch (error) {
-    console.error('❌ Error updating logo:', error);
-    res.status(500).json({ error: "Failed to update logo", details: error.message });
-  }
-});
-
-// --- Global Error Handler ---
-app.use((error, req, res, next) => {
-  console.error('💥 Error:', error);
-  if (error instanceof multer.MulterError) {
-    return res.status(400).json({ error: error.message });
-  }
-  res.status(500).json({ error: error.message || 'Something went wrong!' });
-});
-
-// --- 404 ---
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-// --- START ---
-const startServer = async () => {
-  try {
-    console.log('🔄 Connecting to MongoDB...');
-    console.log('📍 MongoDB URI:', MONGODB_URI.replace(/\/\/([^:]+):([^@]+)@/, '//$1:****@'));
-
-    await mongoose.connect(MONGODB_URI, {
-      serverSelectionTimeoutMS: 5000,
-      socketTimeoutMS: 45000,
-    });
-
-    console.log('✅ Connected to MongoDB!');
-    console.log('📊 Database:', mongoose.connection.db.databaseName);
-
     const server = app.listen(PORT, () => {
-      console.log(`\n🚀 SmartHome Server on port ${PORT}`);
-      console.log('\n📋 Endpoints:');
-      console.log('   GET    /                        - Health check');
-      console.log('   GET    /products                - Get all products (query: ?sort=numeration)');
-      console.log('   POST   /products/upload         - Create product');
-      console.log('   GET    /products/:id            - Get single product');
-      console.log('   PUT    /products/:id            - Update product');
-      console.log('   PATCH  /products/:id/status     - Update product status');
-      console.log('   PATCH  /products/:id/numeration - Update product numeration 🆕');
-      console.log('   DELETE /products/:id            - Delete product');
-      console.log('   GET    /products/status/:status - Get by status (query: ?sort=numeration)');
-      console.log('   GET    /settings                - Get site config');
-      console.log('   PUT    /settings                - Update all settings');
-      console.log('   PATCH  /settings/landing        - Update landing text');
-      console.log('   PATCH  /settings/about          - Update about text');
-      console.log('   PATCH  /settings/services       - Update services text');
-      console.log('   PATCH  /settings/banner         - Update banner image');
-      console.log('   PATCH  /settings/logo           - Update logo image');
-      console.log('\n✅ Ready!\n');
+      logger.info('Server listening', { port: PORT, storage: config.STORAGE_DRIVER });
+      if (config.LOG_FORMAT === 'pretty') printEndpoints();
     });
 
-    mongoose.connection.on('disconnected', () => console.log('⚠️  MongoDB disconnected'));
-    mongoose.connection.on('reconnected', () => console.log('✅ MongoDB reconnected'));
-    mongoose.connection.on('error', err => console.error('❌ MongoDB error:', err));
+    mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+    mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+    mongoose.connection.on('error', err => logger.error('MongoDB error', { err }));
 
     const shutdown = async () => {
-      console.log('\n🛑 Shutting down...');
+      logger.info('Shutting down');
+      clearInterval(trashPurgeTimer);
+      clearInterval(publishTimer);
+      clearInterval(webhookTimer);
+      clearInterval(assetTimer);
+      for (const stream of eventStreams) stream.end();
       try { await mongoose.connection.close(); } catch (e) { }
       server.close(() => { process.exit(0); });
       setTimeout(() => process.exit(1), 10000);
@@ -569,9 +172,11 @@ const startServer = async () => {
     process.on('SIGTERM', shutdown);
 
   } catch (err) {
-    console.error('❌ Failed to start:', err.message);
+    logger.error('Failed to start', { err });
     process.exit(1);
   }
 };
 
+process.on('unhandledRejection', err => logger.error('Unhandled promise rejection', { err }));
+
 startServer();
\ No newline at end of file
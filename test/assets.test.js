@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  api, auth, storage, IMAGE, image, createProduct,
+  startTestDatabase, stopTestDatabase, resetData,
+} from './helpers.js';
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(resetData);
+
+const registered = async () => (await mongoose.model('Asset').find().lean()).map(a => a.publicId).sort();
+const reconcile = (query = {}) => api().post('/assets/reconcile').query(query).set(auth('owner'));
+
+describe('asset registry', () => {
+  it('records uploads and forgets destroyed files', async () => {
+    const product = await createProduct({}, { otherPhotos: 1 });
+    assert.deepEqual(await registered(), [product.mainImagePublicId, ...product.otherPhotosPublicIds].sort());
+
+    await api().delete(`/products/${product._id}/photos/${encodeURIComponent(product.otherPhotosPublicIds[0])}`).set(auth('editor'));
+    assert.deepEqual(await registered(), [product.mainImagePublicId]);
+  });
+
+  it('destroys the upload of a request that fails', async () => {
+    await api().post('/categories').set(auth('editor')).field('name', 'Lighting');
+    const res = await api().post('/categories').set(auth('editor')).field('name', 'Lighting').attach('image', IMAGE, image());
+
+    assert.equal(res.status, 409);
+    assert.equal(storage.destroyed.length, 1);
+    assert.deepEqual(await registered(), []);
+  });
+});
+
+describe('POST /assets/reconcile', () => {
+  it('requires an owner token', async () => {
+    assert.equal((await api().post('/assets/reconcile').set(auth('editor'))).status, 403);
+  });
+
+  it('reports orphans on a dry run and deletes them otherwise', async () => {
+    const product = await createProduct();
+    await mongoose.model('Asset').create({ publicId: 'test/orphan', url: 'https://images.test/test/orphan', driver: 'stub' });
+    await mongoose.model('Asset').create({ publicId: 'other/orphan', driver: 'cloudinary' });
+
+    const dryRun = await reconcile({ dryRun: 'true' });
+    assert.equal(dryRun.status, 200);
+    assert.deepEqual(dryRun.body.orphans.map(o => o.publicId), ['test/orphan']);
+    assert.deepEqual(dryRun.body.skipped, { tooNew: 0, otherDriver: 1 });
+    assert.equal(dryRun.body.deleted, 0);
+    assert.deepEqual(storage.destroyed, []);
+
+    const run = await reconcile();
+    assert.equal(run.body.deleted, 1);
+    assert.deepEqual(storage.destroyed, ['test/orphan']);
+    assert.deepEqual(await registered(), ['other/orphan', product.mainImagePublicId].sort());
+  });
+
+  it('skips young files that nothing references and counts only those', async () => {
+    const product = await createProduct();
+    const Asset = mongoose.model('Asset');
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    // Younger than any grace period, the referenced one included
+    await Asset.collection.updateOne({ publicId: product.mainImagePublicId }, { $set: { createdAt: future } });
+    await Asset.collection.insertOne({ publicId: 'test/uploading', url: '', driver: 'stub', createdAt: future, updatedAt: future });
+
+    const res = await reconcile();
+    assert.equal(res.body.skipped.tooNew, 1);
+    assert.deepEqual(res.body.orphans, []);
+    assert.deepEqual(storage.destroyed, []);
+  });
+
+  it('keeps images of trashed products and draft settings', async () => {
+    const product = await createProduct();
+    await api().delete(`/products/${product._id}`).set(auth('owner'));
+    await api().patch('/settings/banner').set(auth('owner')).attach('landingBanner', IMAGE, image('banner.png'));
+
+    const res = await reconcile();
+    assert.equal(res.body.referenced, 2);
+    assert.deepEqual(res.body.orphans, []);
+    assert.deepEqual(storage.destroyed, []);
+  });
+});
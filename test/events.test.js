@@ -0,0 +1,34 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, auth, tokens, startTestDatabase, stopTestDatabase } from './helpers.js';
+
+before(startTestDatabase);
+after(stopTestDatabase);
+
+describe('POST /events/token', () => {
+  it('requires a token', async () => {
+    assert.equal((await api().post('/events/token')).status, 401);
+  });
+
+  it('issues a short-lived token that opens nothing but /events', async () => {
+    const res = await api().post('/events/token').set(auth('editor'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.expiresIn, 300);
+
+    const me = await api().get('/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+    assert.equal(me.status, 401);
+  });
+});
+
+describe('GET /events', () => {
+  it('refuses login tokens in the query string', async () => {
+    const res = await api().get('/events').query({ access_token: tokens.editor, types: 'settings.draft_updated' });
+    assert.equal(res.status, 401);
+  });
+
+  it('refuses admin event types without a token', async () => {
+    const res = await api().get('/events').query({ types: 'settings.draft_updated' });
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body.types, ['settings.draft_updated']);
+  });
+});
@@ -0,0 +1,132 @@
+// Shared setup for the integration tests: an in-memory MongoDB replica set
+// (renumbering uses transactions), a stub storage driver that records what
+// was destroyed, and one logged-in admin per role.
+import fs from 'node:fs';
+import path from 'node:path';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+// app.js reads these at import time; .env values never override them
+Object.assign(process.env, {
+  JWT_SECRET: 'test-secret',
+  STORAGE_DRIVER: 'local',
+  CACHE_DRIVER: 'none',
+  SUPPORTED_LOCALES: 'en,ka',
+  DEFAULT_LOCALE: 'en',
+  TRASH_RETENTION_DAYS: '30',
+  INQUIRY_RATE_LIMIT: '1000',
+  RATE_LIMIT_READ: '10000',
+  RATE_LIMIT_WRITE: '10000',
+  RATE_LIMIT_UPLOAD: '10000',
+  LOG_LEVEL: 'silent',
+  ASSET_GRACE_MINUTES: '0',
+});
+
+// Imported after the env is set; tests import app.js exports from here, never directly
+export const {
+  app, setStorageDriver, publishScheduledSettings, ensureNumerationIndex, processDueDeliveries,
+} = await import('../app.js');
+
+// Stands in for Cloudinary: files are read and dropped, public ids are test/stub-N
+export const createStubStorage = () => {
+  let uploads = 0;
+  const destroyed = [];
+  return {
+    name: 'stub',
+    destroyed,
+    engine: {
+      _handleFile: (req, file, cb) => {
+        file.stream.on('error', cb);
+        file.stream.on('end', () => {
+          uploads++;
+          cb(null, { filename: `stub-${uploads}`, path: `https://images.test/test/stub-${uploads}` });
+        });
+        file.stream.resume();
+      },
+      _removeFile: (req, file, cb) => cb(null),
+    },
+    toAsset: (file) => ({ url: file.path, publicId: `test/${file.filename}` }),
+    destroy: async (publicId) => {
+      destroyed.push(publicId);
+    },
+    publicUrl: (publicId) => `https://images.test/${publicId}`,
+  };
+};
+
+export const storage = createStubStorage();
+setStorageDriver(storage);
+
+export const api = () => request(app);
+
+// A tiny PNG; multer only looks at the mimetype
+export const IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+export const image = (name = 'photo.png') => ({ filename: name, contentType: 'image/png' });
+
+const PASSWORD = 'correct-horse-battery';
+let replSet = null;
+export const tokens = {};
+
+// mongodb-memory-server reads MONGOMS_SYSTEM_BINARY and MONGOMS_DOWNLOAD_DIR
+// itself. Without either, a mongod on the PATH is used before downloading one.
+const findInstalledMongod = () => {
+  if (process.env.MONGOMS_SYSTEM_BINARY || process.env.MONGOMS_DOWNLOAD_DIR) return undefined;
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return dirs.map(dir => path.join(dir, 'mongod')).find(file => fs.existsSync(file));
+};
+
+export const startTestDatabase = async () => {
+  try {
+    replSet = await MongoMemoryReplSet.create({
+      binary: { systemBinary: findInstalledMongod() },
+      replSet: { count: 1, storageEngine: 'wiredTiger' },
+    });
+  } catch (e) {
+    throw new Error(`Could not start MongoDB for the tests: ${e.message}\nWithout network access, set MONGOMS_SYSTEM_BINARY or MONGOMS_DOWNLOAD_DIR, see "Automated Tests" in README.md`, { cause: e });
+  }
+  await mongoose.connect(replSet.getUri(), { dbName: 'smarthome-test' });
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+  // Not built on connect, see NUMERATION_INDEX in app.js
+  await ensureNumerationIndex();
+
+  const Admin = mongoose.model('Admin');
+  for (const role of ['editor', 'owner']) {
+    await Admin.create({ username: role, passwordHash: await bcrypt.hash(PASSWORD, 4), role });
+    const res = await api().post('/auth/login').send({ username: role, password: PASSWORD });
+    tokens[role] = res.body.token;
+  }
+};
+
+export const stopTestDatabase = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
+
+// Everything but the admins, so every test starts from an empty catalog
+export const resetData = async () => {
+  for (const collection of Object.values(mongoose.connection.collections)) {
+    if (collection.collectionName !== 'admins') await collection.deleteMany({});
+  }
+  storage.destroyed.length = 0;
+};
+
+export const auth = (role) => ({ Authorization: `Bearer ${tokens[role]}` });
+
+// Creates a product through the upload route and returns it
+export const createProduct = async (fields = {}, { otherPhotos = 0 } = {}) => {
+  const req = api().post('/products/upload').set(auth('editor'));
+  const data = { name: 'Smart switch', price: 49.9, ...fields };
+  for (const [field, value] of Object.entries(data)) req.field(field, String(value));
+  req.attach('mainImage', IMAGE, image('main.png'));
+  for (let i = 0; i < otherPhotos; i++) req.attach('otherPhotos', IMAGE, image(`other-${i}.png`));
+
+  const res = await req;
+  if (res.status !== 201) throw new Error(`Could not create product: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.product;
+};
+
+export const fieldsOf = (res) => res.body.fields.map(f => `${f.location}.${f.field}`);
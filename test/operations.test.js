@@ -0,0 +1,104 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { api, startTestDatabase, stopTestDatabase } from './helpers.js';
+import { loadConfig, ConfigError } from '../config.js';
+
+before(startTestDatabase);
+after(stopTestDatabase);
+
+describe('health probes', () => {
+  it('liveness answers without touching dependencies', async () => {
+    const res = await api().get('/health/live');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+  });
+
+  it('readiness checks the database and storage', async () => {
+    const res = await api().get('/health/ready');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ready');
+    assert.equal(res.body.checks.database.status, 'ok');
+    assert.deepEqual(res.body.checks.storage, { status: 'ok', driver: 'stub' });
+  });
+});
+
+describe('requests', () => {
+  it('keeps a valid X-Request-Id and generates one otherwise', async () => {
+    assert.equal((await api().get('/health/live').set('X-Request-Id', 'edge-42')).headers['x-request-id'], 'edge-42');
+    const generated = await api().get('/health/live').set('X-Request-Id', 'no spaces allowed');
+    assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  it('sends rate limit headers on reads and writes, not on probes or uploaded images', async () => {
+    const read = await api().get('/products');
+    assert.match(read.headers['ratelimit-policy'], /^10000;w=900$/);
+    const write = await api().post('/auth/login').send({});
+    assert.ok(write.headers['ratelimit-policy']);
+    assert.equal((await api().get('/health/ready')).headers['ratelimit-policy'], undefined);
+    assert.equal((await api().get('/uploads/smarthome-products/photo.png')).headers['ratelimit-policy'], undefined);
+  });
+
+  it('rejects oversized and malformed JSON bodies', async () => {
+    const large = await api().post('/auth/login').send({ username: 'x'.repeat(2 * 1024 * 1024), password: 'secret' });
+    assert.equal(large.status, 413);
+
+    const malformed = await api().post('/auth/login').set('Content-Type', 'application/json').send('{"username":');
+    assert.equal(malformed.status, 400);
+  });
+});
+
+describe('request log', () => {
+  // The suite logs nothing, so this runs one request in a child process that does
+  it('never writes query string tokens', async () => {
+    const script = `
+      import request from 'supertest';
+      const { app } = await import('./app.js');
+      await request(app).get('/events').query({ access_token: 'stream-token-123', types: 'product.updated' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      process.exit(0);
+    `;
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], {
+      cwd: new URL('..', import.meta.url),
+      env: { ...process.env, LOG_LEVEL: 'info', LOG_FORMAT: 'json' },
+      timeout: 20000,
+    });
+    const output = stdout + stderr;
+    assert.match(output, /"msg":"Request completed"/);
+    assert.match(output, /access_token=%5Bredacted%5D/);
+    assert.doesNotMatch(output, /stream-token-123/);
+  });
+});
+
+describe('config', () => {
+  it('lists every invalid variable', () => {
+    assert.throws(
+      () => loadConfig({ PORT: 'eighty', STORAGE_DRIVER: 'ftp', LOG_LEVEL: 'loud' }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems.map(p => p.variable).sort(), ['JWT_SECRET', 'LOG_LEVEL', 'PORT', 'STORAGE_DRIVER']);
+        return true;
+      }
+    );
+  });
+
+  it('requires Cloudinary credentials for the Cloudinary driver', () => {
+    assert.throws(() => loadConfig({ JWT_SECRET: 'secret' }), /CLOUDINARY_CLOUD_NAME: Required when STORAGE_DRIVER is cloudinary/);
+  });
+
+  it('requires CORS_ORIGINS in production', () => {
+    const env = { JWT_SECRET: 'secret', STORAGE_DRIVER: 'local', NODE_ENV: 'production' };
+    assert.throws(() => loadConfig(env), /CORS_ORIGINS: Required when NODE_ENV is production/);
+    assert.deepEqual(loadConfig({ ...env, CORS_ORIGINS: 'https://shop.example.com' }).CORS_ORIGINS, ['https://shop.example.com']);
+    assert.deepEqual(loadConfig({ ...env, NODE_ENV: '' }).CORS_ORIGINS, []);
+  });
+
+  it('fills in defaults', () => {
+    const config = loadConfig({ JWT_SECRET: 'secret', STORAGE_DRIVER: 'local', SUPPORTED_LOCALES: 'en, KA', DEFAULT_LOCALE: 'ka', PORT: '' });
+    assert.equal(config.PORT, 5001);
+    assert.deepEqual(config.SUPPORTED_LOCALES, ['ka', 'en']);
+    assert.equal(config.PUBLIC_BASE_URL, 'http://localhost:5001');
+    assert.equal(config.JSON_BODY_LIMIT, '1mb');
+  });
+});
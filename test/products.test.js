@@ -0,0 +1,792 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  api, auth, storage, IMAGE, image, createProduct, fieldsOf, ensureNumerationIndex,
+  startTestDatabase, stopTestDatabase, resetData,
+} from './helpers.js';
+
+const missingId = () => new mongoose.Types.ObjectId().toString();
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(resetData);
+
+describe('POST /products/upload', () => {
+  it('creates a product with its images and the next numeration', async () => {
+    const first = await createProduct({ name: 'Hub', description: 'Zigbee hub' }, { otherPhotos: 2 });
+    const second = await createProduct({ name: 'Sensor' });
+
+    assert.equal(first.name, 'Hub');
+    assert.equal(first.price, 49.9);
+    assert.equal(first.status, 'available');
+    assert.equal(first.numeration, 1);
+    assert.equal(second.numeration, 2);
+    assert.match(first.mainImagePublicId, /^test\/stub-\d+$/);
+    assert.equal(first.otherPhotos.length, 2);
+    assert.equal(first.otherPhotosPublicIds.length, 2);
+  });
+
+  it('requires a token', async () => {
+    const res = await api().post('/products/upload').field('name', 'Hub');
+    assert.equal(res.status, 401);
+  });
+
+  it('lists every failing field', async () => {
+    const res = await api().post('/products/upload').set(auth('editor'))
+      .field('price', 'abc')
+      .field('status', 'sold');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Validation failed');
+    assert.deepEqual(fieldsOf(res).sort(), ['body.name', 'body.price', 'body.status', 'files.mainImage']);
+    assert.equal(res.body.fields.find(f => f.field === 'price').message, 'Expected number');
+  });
+
+  it('destroys the uploaded images of a rejected request', async () => {
+    const res = await api().post('/products/upload').set(auth('editor'))
+      .field('name', 'Hub')
+      .field('price', '-1')
+      .attach('mainImage', IMAGE, image());
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['body.price']);
+    assert.equal(storage.destroyed.length, 1);
+  });
+
+  it('rejects a file that is not an image and destroys the ones stored before it', async () => {
+    const res = await api().post('/products/upload').set(auth('editor'))
+      .field('name', 'Hub')
+      .field('price', '10')
+      .attach('mainImage', IMAGE, image())
+      .attach('otherPhotos', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Validation failed');
+    assert.deepEqual(res.body.fields, [{ location: 'files', field: 'otherPhotos', message: 'Only image files are allowed!' }]);
+    assert.equal(storage.destroyed.length, 1);
+    assert.equal(await mongoose.model('Product').countDocuments(), 0);
+  });
+
+  it('rejects a file over the size limit', async () => {
+    const res = await api().post('/products/upload').set(auth('editor'))
+      .field('name', 'Hub')
+      .field('price', '10')
+      .attach('otherPhotos', IMAGE, image('other.png'))
+      .attach('mainImage', Buffer.alloc(10 * 1024 * 1024 + 1), image());
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, [{ location: 'files', field: 'mainImage', message: 'File too large' }]);
+    // The accepted photo and what was stored of the large one
+    assert.equal(storage.destroyed.length, 2);
+  });
+
+  it('rejects a numeration that is already taken', async () => {
+    const existing = await createProduct({ numeration: 5 });
+    const res = await api().post('/products/upload').set(auth('editor'))
+      .field('name', 'Hub')
+      .field('price', '10')
+      .field('numeration', '5')
+      .attach('mainImage', IMAGE, image());
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.product._id, existing._id);
+    assert.equal(storage.destroyed.length, 1);
+  });
+
+  it('rejects unknown categories', async () => {
+    const res = await api().post('/products/upload').set(auth('editor'))
+      .field('name', 'Hub')
+      .field('price', '10')
+      .field('categories', 'no-such-category')
+      .attach('mainImage', IMAGE, image());
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['body.categories']);
+  });
+});
+
+describe('GET /products', () => {
+  beforeEach(async () => {
+    await createProduct({ name: 'Wall switch', price: 30, description: 'Two gang' });
+    await createProduct({ name: 'Motion sensor', price: 20, status: 'on_the_way' });
+    await createProduct({ name: 'Smart bulb', price: 10, status: 'out_of_stock' });
+  });
+
+  it('returns every product without pagination', async () => {
+    const res = await api().get('/products');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.products.length, 3);
+    assert.equal(res.body.page, undefined);
+  });
+
+  it('filters, sorts and paginates', async () => {
+    const res = await api().get('/products').query({ status: 'available,on_the_way', sort: 'price', page: 1, limit: 1 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    assert.equal(res.body.totalPages, 2);
+    assert.deepEqual(res.body.products.map(p => p.name), ['Motion sensor']);
+  });
+
+  it('filters by price range', async () => {
+    const res = await api().get('/products').query({ minPrice: 15, maxPrice: 25 });
+    assert.deepEqual(res.body.products.map(p => p.name), ['Motion sensor']);
+  });
+
+  it('searches name and description', async () => {
+    const res = await api().get('/products').query({ q: 'gang' });
+    assert.deepEqual(res.body.products.map(p => p.name), ['Wall switch']);
+  });
+
+  it('rejects invalid query parameters', async () => {
+    const res = await api().get('/products').query({ status: 'sold', limit: 1000 });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res).sort(), ['query.limit', 'query.status.0']);
+
+    const range = await api().get('/products').query({ minPrice: 50, maxPrice: 10 });
+    assert.equal(range.status, 400);
+    assert.deepEqual(fieldsOf(range), ['query.minPrice']);
+  });
+
+  it('rejects an unknown category', async () => {
+    const res = await api().get('/products').query({ category: 'lamps' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['query.category']);
+  });
+
+  it('answers 304 when the ETag still matches', async () => {
+    const first = await api().get('/products');
+    assert.ok(first.headers.etag);
+    assert.ok(first.headers['last-modified']);
+
+    const again = await api().get('/products').set('If-None-Match', first.headers.etag);
+    assert.equal(again.status, 304);
+
+    await createProduct({ name: 'Doorbell' });
+    const changed = await api().get('/products').set('If-None-Match', first.headers.etag);
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.total, 4);
+  });
+});
+
+describe('GET /products/status/:status', () => {
+  it('returns the products with that status', async () => {
+    await createProduct({ name: 'Hub' });
+    await createProduct({ name: 'Sensor', status: 'on_the_way' });
+
+    const res = await api().get('/products/status/on_the_way');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+    assert.deepEqual(res.body.products.map(p => p.name), ['Sensor']);
+  });
+
+  it('rejects an unknown status', async () => {
+    const res = await api().get('/products/status/sold');
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['params.status']);
+  });
+});
+
+describe('GET /products/:id', () => {
+  it('returns the product', async () => {
+    const product = await createProduct({ name: 'Hub' });
+    const res = await api().get(`/products/${product._id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.name, 'Hub');
+    assert.equal(res.body.product.locale, 'en');
+  });
+
+  it('returns the requested translation', async () => {
+    const product = await createProduct({ name: 'Hub' });
+    await api().put(`/products/${product._id}`).query({ lang: 'ka' }).set(auth('editor')).send({ name: 'ჰაბი' });
+
+    const translated = await api().get(`/products/${product._id}`).query({ lang: 'ka' });
+    assert.equal(translated.body.product.name, 'ჰაბი');
+    const base = await api().get(`/products/${product._id}`);
+    assert.equal(base.body.product.name, 'Hub');
+  });
+
+  it('answers 404 for an unknown id and 400 for an invalid one', async () => {
+    assert.equal((await api().get(`/products/${missingId()}`)).status, 404);
+
+    const invalid = await api().get('/products/not-an-id');
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(fieldsOf(invalid), ['params.id']);
+  });
+});
+
+describe('PUT /products/:id', () => {
+  it('updates only the fields that are sent', async () => {
+    const product = await createProduct({ name: 'Hub', description: 'Zigbee' });
+    const res = await api().put(`/products/${product._id}`).set(auth('editor')).send({ price: 59, status: 'restoring' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.price, 59);
+    assert.equal(res.body.product.status, 'restoring');
+    assert.equal(res.body.product.name, 'Hub');
+    assert.equal(res.body.product.description, 'Zigbee');
+  });
+
+  it('replaces the main image and destroys the old one', async () => {
+    const product = await createProduct();
+    const res = await api().put(`/products/${product._id}`).set(auth('editor')).attach('mainImage', IMAGE, image());
+
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.product.mainImagePublicId, product.mainImagePublicId);
+    assert.deepEqual(storage.destroyed, [product.mainImagePublicId]);
+  });
+
+  it('replaces the whole gallery when other photos are sent', async () => {
+    const product = await createProduct({}, { otherPhotos: 2 });
+    const res = await api().put(`/products/${product._id}`).set(auth('editor')).attach('otherPhotos', IMAGE, image());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.otherPhotosPublicIds.length, 1);
+    assert.deepEqual(storage.destroyed.sort(), [...product.otherPhotosPublicIds].sort());
+  });
+
+  it('removes numeration and expectedArrival when sent empty', async () => {
+    const product = await createProduct({ expectedArrival: '2030-01-01' });
+    const res = await api().put(`/products/${product._id}`).set(auth('editor')).send({ numeration: '', expectedArrival: '' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.numeration, undefined);
+    assert.equal(res.body.product.expectedArrival ?? null, null);
+  });
+
+  it('keeps the old images when the numeration is taken', async () => {
+    const taken = await createProduct();
+    const product = await createProduct();
+    const res = await api().put(`/products/${product._id}`).set(auth('editor'))
+      .field('numeration', String(taken.numeration))
+      .attach('mainImage', IMAGE, image());
+
+    assert.equal(res.status, 409);
+    // Only the rejected upload is destroyed
+    assert.equal(storage.destroyed.length, 1);
+    assert.notEqual(storage.destroyed[0], product.mainImagePublicId);
+  });
+
+  it('rejects invalid fields', async () => {
+    const product = await createProduct();
+    const res = await api().put(`/products/${product._id}`).set(auth('editor')).send({ status: 'sold', expectedArrival: 'soon', lang: 'xx' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res).sort(), ['body.expectedArrival', 'body.lang', 'body.status']);
+  });
+
+  it('answers 404 for an unknown product and discards its upload', async () => {
+    const res = await api().put(`/products/${missingId()}`).set(auth('editor')).attach('mainImage', IMAGE, image());
+    assert.equal(res.status, 404);
+    assert.equal(storage.destroyed.length, 1);
+  });
+});
+
+describe('PATCH /products/:id/status', () => {
+  it('updates status, note and expected arrival', async () => {
+    const product = await createProduct();
+    const res = await api().patch(`/products/${product._id}/status`).set(auth('editor'))
+      .send({ status: 'on_the_way', statusNote: 'Shipped', expectedArrival: '2030-05-01' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.status, 'on_the_way');
+    assert.equal(res.body.product.statusNote, 'Shipped');
+    assert.equal(res.body.product.expectedArrival, '2030-05-01T00:00:00.000Z');
+  });
+
+  it('rejects an unknown status and a missing product', async () => {
+    const product = await createProduct();
+    const invalid = await api().patch(`/products/${product._id}/status`).set(auth('editor')).send({ status: 'sold' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(fieldsOf(invalid), ['body.status']);
+
+    const missing = await api().patch(`/products/${missingId()}/status`).set(auth('editor')).send({ status: 'available' });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('numeration', () => {
+  let products;
+  beforeEach(async () => {
+    products = [];
+    for (const name of ['One', 'Two', 'Three']) products.push(await createProduct({ name }));
+  });
+
+  const numerations = async () => {
+    const res = await api().get('/products').query({ sort: 'numeration' });
+    return res.body.products.map(p => [p.name, p.numeration]);
+  };
+
+  it('PATCH sets a free number and rejects a taken one', async () => {
+    const [one, , three] = products;
+    const free = await api().patch(`/products/${one._id}/numeration`).set(auth('editor')).send({ numeration: 10 });
+    assert.equal(free.status, 200);
+    assert.equal(free.body.product.numeration, 10);
+
+    const taken = await api().patch(`/products/${three._id}/numeration`).set(auth('editor')).send({ numeration: 2 });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.product.name, 'Two');
+  });
+
+  it('PATCH in insert mode shifts the following products', async () => {
+    const res = await api().patch(`/products/${products[2]._id}/numeration`).set(auth('editor')).send({ numeration: 1, mode: 'insert' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await numerations(), [['Three', 1], ['One', 2], ['Two', 3]]);
+  });
+
+  it('PATCH insert mode requires a numeration', async () => {
+    const res = await api().patch(`/products/${products[0]._id}/numeration`).set(auth('editor')).send({ mode: 'insert' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['body.numeration']);
+  });
+
+  it('PUT /products/numeration renumbers in the given order', async () => {
+    const res = await api().put('/products/numeration').set(auth('editor')).send({ productIds: [products[1]._id] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await numerations(), [['Two', 1], ['One', 2], ['Three', 3]]);
+  });
+
+  it('PUT /products/numeration rejects unknown products', async () => {
+    const res = await api().put('/products/numeration').set(auth('editor')).send({ productIds: [missingId()] });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['body.productIds']);
+  });
+
+  it('builds the unique index only once duplicate numerations are renumbered', async () => {
+    const Product = mongoose.model('Product');
+    const hasIndex = async () => (await Product.collection.indexes()).some(i => i.name === 'product_numeration_unique');
+    await Product.collection.dropIndex('product_numeration_unique');
+    await Product.collection.updateOne({ _id: new mongoose.Types.ObjectId(products[2]._id) }, { $set: { numeration: 1 } });
+
+    // What connecting builds, and the startup check
+    await Product.createIndexes();
+    await ensureNumerationIndex();
+    assert.equal(await hasIndex(), false);
+
+    const res = await api().put('/products/numeration').set(auth('editor')).send({ productIds: [] });
+    assert.equal(res.status, 200);
+    // Shared numerations keep the newest product first, as sort=numeration lists them
+    assert.deepEqual(await numerations(), [['Three', 1], ['One', 2], ['Two', 3]]);
+    assert.equal(await hasIndex(), true);
+  });
+});
+
+describe('gallery', () => {
+  it('appends photos up to the limit', async () => {
+    const product = await createProduct({}, { otherPhotos: 9 });
+    const added = await api().post(`/products/${product._id}/photos`).set(auth('editor')).attach('otherPhotos', IMAGE, image());
+    assert.equal(added.status, 201);
+    assert.equal(added.body.product.otherPhotos.length, 10);
+
+    const tooMany = await api().post(`/products/${product._id}/photos`).set(auth('editor')).attach('otherPhotos', IMAGE, image());
+    assert.equal(tooMany.status, 400);
+    assert.deepEqual(fieldsOf(tooMany), ['files.otherPhotos']);
+    assert.equal(storage.destroyed.length, 1);
+  });
+
+  it('deletes a single photo', async () => {
+    const product = await createProduct({}, { otherPhotos: 2 });
+    const [removed, kept] = product.otherPhotosPublicIds;
+    const res = await api().delete(`/products/${product._id}/photos/${encodeURIComponent(removed)}`).set(auth('editor'));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.product.otherPhotosPublicIds, [kept]);
+    assert.deepEqual(res.body.product.otherPhotos, [product.otherPhotos[1]]);
+    assert.deepEqual(storage.destroyed, [removed]);
+
+    const missing = await api().delete(`/products/${product._id}/photos/${encodeURIComponent(removed)}`).set(auth('editor'));
+    assert.equal(missing.status, 404);
+  });
+
+  it('reorders the gallery', async () => {
+    const product = await createProduct({}, { otherPhotos: 2 });
+    const reversed = [...product.otherPhotosPublicIds].reverse();
+    const res = await api().put(`/products/${product._id}/photos/order`).set(auth('editor')).send({ publicIds: reversed });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.product.otherPhotosPublicIds, reversed);
+    assert.deepEqual(res.body.product.otherPhotos, [...product.otherPhotos].reverse());
+
+    const partial = await api().put(`/products/${product._id}/photos/order`).set(auth('editor')).send({ publicIds: [reversed[0]] });
+    assert.equal(partial.status, 400);
+  });
+
+  it('promotes a photo to main image without destroying anything', async () => {
+    const product = await createProduct({}, { otherPhotos: 1 });
+    const [photo] = product.otherPhotosPublicIds;
+    const res = await api().post(`/products/${product._id}/photos/${encodeURIComponent(photo)}/promote`).set(auth('editor'));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.mainImagePublicId, photo);
+    assert.deepEqual(res.body.product.otherPhotosPublicIds, [product.mainImagePublicId]);
+    assert.deepEqual(storage.destroyed, []);
+  });
+});
+
+describe('history', () => {
+  it('records revisions and restores one', async () => {
+    const product = await createProduct({ name: 'Hub', price: 10 });
+    await api().put(`/products/${product._id}`).set(auth('editor')).send({ name: 'Hub v2', price: 12 });
+
+    const history = await api().get(`/products/${product._id}/history`).set(auth('editor'));
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.entries.map(e => e.action), ['update', 'create']);
+    assert.deepEqual(history.body.entries[0].changes.map(c => c.field).sort(), ['name', 'price']);
+
+    const restored = await api().post(`/products/${product._id}/history/1/restore`).set(auth('editor'));
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.product.name, 'Hub');
+    assert.equal(restored.body.product.price, 10);
+
+    const missing = await api().post(`/products/${product._id}/history/99/restore`).set(auth('editor'));
+    assert.equal(missing.status, 404);
+  });
+
+  it('gives concurrent updates their own revisions', async () => {
+    const product = await createProduct({ price: 10 });
+    const prices = [11, 12, 13, 14];
+    const updates = await Promise.all(prices.map(price => api().put(`/products/${product._id}`).set(auth('editor')).send({ price })));
+    assert.ok(updates.every(res => res.status === 200));
+
+    const history = await api().get(`/products/${product._id}/history`).set(auth('editor'));
+    assert.deepEqual(history.body.entries.map(e => e.revision), [5, 4, 3, 2, 1]);
+    const priceHistory = await api().get(`/products/${product._id}/prices`).set(auth('editor'));
+    assert.equal(priceHistory.body.total, 1 + prices.length);
+  });
+});
+
+describe('stock', () => {
+  it('moves stock and follows it with the status', async () => {
+    const product = await createProduct({ status: 'on_the_way' });
+    const received = await api().post(`/products/${product._id}/stock/movements`).set(auth('editor')).send({ type: 'received', quantity: 2 });
+    assert.equal(received.status, 201);
+    assert.equal(received.body.product.stock, 2);
+    assert.equal(received.body.product.status, 'available');
+
+    const sold = await api().post(`/products/${product._id}/stock/movements`).set(auth('editor')).send({ type: 'sold', quantity: 2 });
+    assert.equal(sold.body.product.stock, 0);
+    assert.equal(sold.body.product.status, 'out_of_stock');
+
+    const oversold = await api().post(`/products/${product._id}/stock/movements`).set(auth('editor')).send({ type: 'sold', quantity: 1 });
+    assert.equal(oversold.status, 400);
+
+    const movements = await api().get(`/products/${product._id}/stock/movements`).set(auth('editor'));
+    assert.equal(movements.body.total, 2);
+  });
+
+  it('requires a reason for adjustments', async () => {
+    const product = await createProduct();
+    const res = await api().post(`/products/${product._id}/stock/movements`).set(auth('editor')).send({ type: 'adjusted', quantity: -1 });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['body.reason']);
+  });
+});
+
+describe('variants', () => {
+  const addVariant = (productId, fields) => api().post(`/products/${productId}/variants`).set(auth('editor')).send(fields);
+
+  it('derives the price range and availability from the variants', async () => {
+    const product = await createProduct({ price: 40, status: 'out_of_stock' });
+    const first = await addVariant(product._id, { sku: 'SW-1G', attributes: { gang: '1' }, price: 30, status: 'on_the_way' });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.variant.sku, 'SW-1G');
+    assert.deepEqual(first.body.variant.attributes, { gang: '1' });
+
+    const second = await addVariant(product._id, { sku: 'SW-2G', attributes: { gang: '2' }, price: 55 });
+    assert.deepEqual(second.body.product.priceRange, { min: 30, max: 55 });
+    assert.equal(second.body.product.availability, 'available');
+
+    const available = await api().get('/products').query({ status: 'available', minPrice: 50 });
+    assert.deepEqual(available.body.products.map(p => p._id), [product._id]);
+    assert.equal((await api().get('/products').query({ maxPrice: 20 })).body.total, 0);
+
+    const list = await api().get(`/products/${product._id}/variants`);
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.variants.map(v => v.sku), ['SW-1G', 'SW-2G']);
+
+    const removed = await api().delete(`/products/${product._id}/variants/${second.body.variant._id}`).set(auth('editor'));
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.product.availability, 'on_the_way');
+  });
+
+  it('rejects SKUs in use and variants with the same attributes', async () => {
+    const product = await createProduct();
+    const other = await createProduct({ name: 'Dimmer' });
+    await addVariant(product._id, { sku: 'SW-1G', attributes: { gang: '1' }, price: 30 });
+
+    const taken = await addVariant(other._id, { sku: 'SW-1G', price: 10 });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.product._id, product._id);
+
+    const twin = await addVariant(product._id, { sku: 'SW-1G-B', attributes: { gang: '1' }, price: 30 });
+    assert.equal(twin.status, 409);
+
+    const badName = await addVariant(product._id, { sku: 'SW-3G', attributes: { 'gang.count': '3' }, price: 30 });
+    assert.equal(badName.status, 400);
+    assert.deepEqual(fieldsOf(badName), ['body.attributes.gang.count']);
+  });
+
+  it('replaces and removes variant images', async () => {
+    const product = await createProduct();
+    const created = await api().post(`/products/${product._id}/variants`).set(auth('editor'))
+      .field('sku', 'SW-WHT')
+      .field('attributes', JSON.stringify({ color: 'white' }))
+      .field('price', '20')
+      .attach('image', IMAGE, image('white.png'));
+    assert.equal(created.status, 201);
+    const { _id: variantId, imagePublicId: original } = created.body.variant;
+
+    const path = `/products/${product._id}/variants/${variantId}`;
+    const replaced = await api().put(path).set(auth('editor')).field('price', '25').attach('image', IMAGE, image('white-2.png'));
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.variant.price, 25);
+    assert.deepEqual(storage.destroyed, [original]);
+
+    const cleared = await api().put(path).set(auth('editor')).send({ removeImage: true });
+    assert.equal(cleared.body.variant.imagePublicId, undefined);
+    assert.deepEqual(storage.destroyed, [original, replaced.body.variant.imagePublicId]);
+
+    assert.equal((await api().put(`/products/${product._id}/variants/${missingId()}`).set(auth('editor')).send({ price: 1 })).status, 404);
+  });
+
+  it('inquiries copy the variant price and SKU', async () => {
+    const product = await createProduct({ price: 40 });
+    const { body } = await addVariant(product._id, { sku: 'SW-2G', attributes: { gang: '2' }, price: 55 });
+
+    const res = await api().post('/inquiries').send({
+      customerName: 'Nino',
+      email: 'nino@example.com',
+      items: [{ productId: product._id, variantId: body.variant._id, quantity: 2 }],
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.inquiry.items[0].sku, 'SW-2G');
+    assert.equal(res.body.inquiry.items[0].unitPrice, 55);
+    assert.equal(res.body.inquiry.total, 110);
+  });
+
+  it('inquiries need a variant of a product with variants and refuse discontinued ones', async () => {
+    const product = await createProduct({ price: 40 });
+    const { body } = await addVariant(product._id, { sku: 'SW-2G', attributes: { gang: '2' }, price: 55 });
+    const inquire = (item) => api().post('/inquiries').send({ customerName: 'Nino', email: 'nino@example.com', items: [item] });
+
+    const withoutVariant = await inquire({ productId: product._id });
+    assert.equal(withoutVariant.status, 400);
+    assert.deepEqual(fieldsOf(withoutVariant), ['body.items.0.variantId']);
+
+    await api().put(`/products/${product._id}/variants/${body.variant._id}`).set(auth('editor')).send({ status: 'discontinued' });
+    const discontinued = await inquire({ productId: product._id, variantId: body.variant._id });
+    assert.equal(discontinued.status, 400);
+    assert.deepEqual(fieldsOf(discontinued), ['body.items.0.productId']);
+    assert.equal(discontinued.body.fields[0].message, 'Product is discontinued and cannot be ordered');
+  });
+});
+
+describe('pricing', () => {
+  const hours = (n) => new Date(Date.now() + n * 60 * 60 * 1000).toISOString();
+  const publicProduct = async (id) => (await api().get(`/products/${id}`)).body.product;
+  const createPromotion = (fields) => api().post('/promotions').set(auth('editor')).send({
+    name: 'Black Friday', type: 'percentage', value: 20, startsAt: hours(-1), endsAt: hours(1), ...fields,
+  });
+
+  it('shows a running sale as the effective price and records the price history', async () => {
+    const product = await createProduct({ price: 50 });
+
+    const sale = await api().put(`/products/${product._id}/sale`).set(auth('editor')).send({ price: 40 });
+    assert.equal(sale.status, 200);
+    let shown = await publicProduct(product._id);
+    assert.equal(shown.originalPrice, 50);
+    assert.equal(shown.effectivePrice, 40);
+    assert.equal(shown.discount.type, 'sale');
+    assert.equal(shown.sale, undefined);
+
+    await api().put(`/products/${product._id}/sale`).set(auth('editor')).send({ price: 30, startsAt: hours(1) });
+    shown = await publicProduct(product._id);
+    assert.equal(shown.effectivePrice, 50);
+    assert.equal(shown.discount, null);
+
+    assert.equal((await api().delete(`/products/${product._id}/sale`).set(auth('editor'))).status, 200);
+    assert.equal((await api().delete(`/products/${product._id}/sale`).set(auth('editor'))).status, 404);
+
+    const prices = await api().get(`/products/${product._id}/prices`).set(auth('editor'));
+    assert.deepEqual(
+      prices.body.prices.map(p => [p.field, p.before, p.after]),
+      [['salePrice', 30, null], ['salePrice', 40, 30], ['salePrice', null, 40], ['price', null, 50]]
+    );
+  });
+
+  it('rejects a sale at or above the regular price', async () => {
+    const product = await createProduct({ price: 50 });
+    const res = await api().put(`/products/${product._id}/sale`).set(auth('editor')).send({ price: 50 });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['body.price']);
+  });
+
+  it('does not announce an upcoming sale through events and webhooks', async () => {
+    const webhook = await api().post('/webhooks').set(auth('owner')).send({ url: 'http://127.0.0.1:9/hook', events: ['product.updated'] });
+    assert.equal(webhook.status, 201);
+    const product = await createProduct({ price: 50 });
+    await api().put(`/products/${product._id}/sale`).set(auth('editor')).send({ price: 30, startsAt: hours(24) });
+
+    const Delivery = mongoose.model('WebhookDelivery');
+    let delivery = null;
+    for (let attempt = 0; attempt < 20 && !delivery; attempt++) {
+      delivery = await Delivery.findOne({ event: 'product.updated' }).lean();
+      if (!delivery) await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.ok(delivery, 'expected a product.updated delivery');
+    assert.equal(delivery.payload.product.sale, undefined);
+    assert.equal(delivery.payload.product.effectivePrice, 50);
+  });
+
+  it('applies running category promotions to products and variants, the lowest price winning', async () => {
+    await api().post('/categories').set(auth('editor')).send({ name: 'Lighting' });
+    const lamp = await createProduct({ price: 100, categories: 'lighting' });
+    const other = await createProduct({ name: 'Lock', price: 100 });
+    await api().post(`/products/${lamp._id}/variants`).set(auth('editor')).send({ sku: 'LAMP-S', price: 50 });
+
+    const promotion = await createPromotion({ categories: ['lighting'] });
+    assert.equal(promotion.status, 201);
+    assert.equal(promotion.body.promotion.state, 'running');
+    await createPromotion({ name: 'Later', type: 'fixed', value: 90, startsAt: hours(2), endsAt: hours(3), products: [lamp._id] });
+
+    const shown = await publicProduct(lamp._id);
+    assert.equal(shown.effectivePrice, 80);
+    assert.equal(shown.variants[0].effectivePrice, 40);
+    assert.equal(shown.discount.name, 'Black Friday');
+    assert.deepEqual(shown.effectivePriceRange, { min: 40, max: 40 });
+    assert.equal((await publicProduct(other._id)).effectivePrice, 100);
+
+    const list = await api().get('/promotions').query({ state: 'scheduled' }).set(auth('editor'));
+    assert.deepEqual(list.body.promotions.map(p => p.name), ['Later']);
+  });
+
+  it('validates promotions', async () => {
+    const noTarget = await createPromotion({});
+    assert.equal(noTarget.status, 400);
+    assert.deepEqual(fieldsOf(noTarget), ['body.categories']);
+
+    const product = await createProduct();
+    const invalid = await createPromotion({ products: [product._id], value: 120, endsAt: hours(-2) });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(fieldsOf(invalid), ['body.value', 'body.endsAt']);
+
+    const unknown = await createPromotion({ products: [missingId()] });
+    assert.deepEqual(fieldsOf(unknown), ['body.products']);
+  });
+});
+
+describe('trash', () => {
+  it('only owners can delete', async () => {
+    const product = await createProduct();
+    const res = await api().delete(`/products/${product._id}`).set(auth('editor'));
+    assert.equal(res.status, 403);
+  });
+
+  it('hides trashed products and keeps their images until purged', async () => {
+    const product = await createProduct({}, { otherPhotos: 1 });
+    const deleted = await api().delete(`/products/${product._id}`).set(auth('owner'));
+    assert.equal(deleted.status, 200);
+    assert.ok(deleted.body.purgeAt);
+    assert.deepEqual(storage.destroyed, []);
+
+    assert.equal((await api().get(`/products/${product._id}`)).status, 404);
+    assert.equal((await api().get('/products')).body.total, 0);
+    assert.equal((await api().delete(`/products/${product._id}`).set(auth('owner'))).status, 404);
+
+    const trash = await api().get('/products/trash').set(auth('editor'));
+    assert.deepEqual(trash.body.products.map(p => p._id), [product._id]);
+    assert.equal(trash.body.products[0].numeration, undefined);
+
+    const purged = await api().delete(`/products/${product._id}/purge`).set(auth('owner'));
+    assert.equal(purged.status, 200);
+    assert.deepEqual(storage.destroyed.sort(), [product.mainImagePublicId, ...product.otherPhotosPublicIds].sort());
+    assert.equal((await api().get('/products/trash').set(auth('editor'))).body.total, 0);
+  });
+
+  it('restores a trashed product with a new numeration', async () => {
+    const product = await createProduct();
+    await api().delete(`/products/${product._id}`).set(auth('owner'));
+    await createProduct({ name: 'Newer' });
+
+    const restored = await api().post(`/products/${product._id}/restore`).set(auth('editor'));
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.product.numeration, 2);
+    assert.equal((await api().get(`/products/${product._id}`)).status, 200);
+  });
+
+  it('only purges products in the trash', async () => {
+    const product = await createProduct();
+    const res = await api().delete(`/products/${product._id}/purge`).set(auth('owner'));
+    assert.equal(res.status, 404);
+    assert.deepEqual(storage.destroyed, []);
+  });
+});
+
+describe('import and export', () => {
+  it('exports the catalog as JSON and CSV', async () => {
+    await createProduct({ name: 'Hub, v2' });
+
+    const json = await api().get('/products/export').set(auth('editor')).buffer(true);
+    assert.equal(json.status, 200);
+    assert.equal(JSON.parse(json.text)[0].name, 'Hub, v2');
+
+    const csv = await api().get('/products/export').query({ format: 'csv' }).set(auth('editor')).buffer(true);
+    assert.match(csv.headers['content-type'], /text\/csv/);
+    assert.match(csv.text, /"Hub, v2"/);
+  });
+
+  it('keeps formulas out of the CSV and restores the cells on import', async () => {
+    const product = await createProduct({ name: '=HYPERLINK("https://evil.test")', description: '-10% this week' });
+
+    const csv = await api().get('/products/export').query({ format: 'csv' }).set(auth('editor')).buffer(true);
+    assert.match(csv.text, /,"'=HYPERLINK\(""https:\/\/evil\.test""\)",/);
+    assert.match(csv.text, /,'-10% this week,/);
+
+    const res = await api().post('/products/import').set(auth('editor')).set('Content-Type', 'text/csv').send(csv.text);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary.failed, 0);
+    const saved = await mongoose.model('Product').findById(product._id).lean();
+    assert.equal(saved.name, '=HYPERLINK("https://evil.test")');
+    assert.equal(saved.description, '-10% this week');
+  });
+
+  it('reports every row and writes nothing on a dry run', async () => {
+    const existing = await createProduct({ name: 'Hub' });
+    const rows = [
+      { _id: existing._id, price: 99 },
+      { name: 'Imported', price: 5, mainImage: 'https://images.test/x', mainImagePublicId: 'test/x' },
+      { name: 'Broken', price: 'abc' },
+    ];
+
+    const dryRun = await api().post('/products/import').query({ dryRun: true }).set(auth('editor')).send(rows);
+    assert.equal(dryRun.status, 200);
+    assert.deepEqual(dryRun.body.summary, { created: 1, updated: 1, unchanged: 0, failed: 1 });
+    assert.equal((await api().get('/products')).body.total, 1);
+
+    const imported = await api().post('/products/import').set(auth('editor')).send(rows);
+    assert.deepEqual(imported.body.summary, { created: 1, updated: 1, unchanged: 0, failed: 1 });
+    assert.equal((await api().get(`/products/${existing._id}`)).body.product.price, 99);
+    assert.equal((await api().get('/products')).body.total, 2);
+  });
+
+  it('imports the exported sale and checks it against the price', async () => {
+    const product = await createProduct({ price: 50 });
+    const startsAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    await api().put(`/products/${product._id}/sale`).set(auth('editor')).send({ price: 40, startsAt });
+
+    const [exported] = JSON.parse((await api().get('/products/export').set(auth('editor')).buffer(true)).text);
+    assert.deepEqual(exported.sale, { price: 40, startsAt, endsAt: null });
+
+    const rows = [
+      { _id: product._id, sale: JSON.stringify({ ...exported.sale, price: 35 }) },
+      { _id: product._id, sale: { price: 60 } },
+    ];
+    const res = await api().post('/products/import').set(auth('editor')).send(rows);
+    assert.equal(res.body.rows[0].action, 'updated');
+    assert.deepEqual(res.body.rows[1].errors, [{ field: 'sale.price', message: 'Must be below the regular price (50)' }]);
+
+    const saved = await mongoose.model('Product').findById(product._id).lean();
+    assert.equal(saved.sale.price, 35);
+    assert.equal(saved.sale.startsAt.toISOString(), startsAt);
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  api, auth, storage, IMAGE, image, fieldsOf, publishScheduledSettings,
+  startTestDatabase, stopTestDatabase, resetData,
+} from './helpers.js';
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(resetData);
+
+const live = async (query = {}) => (await api().get('/settings').query(query)).body.settings;
+const preview = async (query = {}) => (await api().get('/settings/preview').query(query).set(auth('owner'))).body.settings;
+const publish = () => api().post('/settings/publish').set(auth('owner'));
+
+const uploadBanner = async () => {
+  const res = await api().patch('/settings/banner').set(auth('owner')).attach('landingBanner', IMAGE, image('banner.png'));
+  assert.equal(res.status, 200);
+  return res.body.settings.landingBannerPublicId;
+};
+
+describe('GET /settings', () => {
+  it('creates an empty config on first read', async () => {
+    const res = await api().get('/settings');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.settings.landingTitle, '');
+    assert.equal(res.body.settings.locale, 'en');
+    assert.ok(res.headers.etag);
+  });
+
+  it('answers 304 when the ETag still matches', async () => {
+    const first = await api().get('/settings');
+    const again = await api().get('/settings').set('If-None-Match', first.headers.etag);
+    assert.equal(again.status, 304);
+  });
+});
+
+describe('write access', () => {
+  it('requires an owner token', async () => {
+    assert.equal((await api().patch('/settings/landing').send({ landingTitle: 'Hi' })).status, 401);
+    assert.equal((await api().patch('/settings/landing').set(auth('editor')).send({ landingTitle: 'Hi' })).status, 403);
+    assert.equal((await api().get('/settings/preview').set(auth('editor'))).status, 403);
+  });
+});
+
+describe('draft and publish', () => {
+  it('text routes write the draft only', async () => {
+    const landing = await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 'Welcome', landingDescription: 'Smart homes' });
+    assert.equal(landing.status, 200);
+    assert.equal(landing.body.settings.landingTitle, 'Welcome');
+    assert.equal(landing.body.settings.hasUnpublishedChanges, true);
+
+    assert.equal((await api().patch('/settings/about').set(auth('owner')).send({ aboutText: 'About us' })).status, 200);
+    assert.equal((await api().patch('/settings/services').set(auth('owner')).send({ servicesText: 'Installation' })).status, 200);
+    assert.equal((await live()).landingTitle, '');
+
+    const draft = await preview();
+    assert.equal(draft.landingTitle, 'Welcome');
+    assert.equal(draft.aboutText, 'About us');
+    assert.equal(draft.servicesText, 'Installation');
+  });
+
+  it('PUT /settings writes several fields at once', async () => {
+    const res = await api().put('/settings').set(auth('owner'))
+      .field('landingTitle', 'Welcome')
+      .field('aboutText', 'About us')
+      .attach('logo', IMAGE, image('logo.png'));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.settings.landingTitle, 'Welcome');
+    assert.equal(res.body.settings.aboutText, 'About us');
+    assert.match(res.body.settings.logoPublicId, /^test\/stub-\d+$/);
+  });
+
+  it('publish makes the draft live', async () => {
+    await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 'Welcome' });
+    const res = await publish();
+    assert.equal(res.status, 200);
+
+    const settings = await live();
+    assert.equal(settings.landingTitle, 'Welcome');
+    assert.ok(settings.publishedAt);
+    assert.equal((await preview()).hasUnpublishedChanges, false);
+  });
+
+  it('keeps translations apart', async () => {
+    await api().patch('/settings/about').set(auth('owner')).send({ aboutText: 'About us' });
+    await api().patch('/settings/about').query({ lang: 'ka' }).set(auth('owner')).send({ aboutText: 'ჩვენს შესახებ' });
+    await publish();
+
+    assert.equal((await live()).aboutText, 'About us');
+    assert.equal((await live({ lang: 'ka' })).aboutText, 'ჩვენს შესახებ');
+  });
+
+  it('rejects an unsupported language and non-text fields', async () => {
+    const lang = await api().patch('/settings/about').query({ lang: 'xx' }).set(auth('owner')).send({ aboutText: 'Hi' });
+    assert.equal(lang.status, 400);
+    assert.deepEqual(fieldsOf(lang), ['query.lang']);
+
+    const text = await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 42 });
+    assert.equal(text.status, 400);
+    assert.deepEqual(fieldsOf(text), ['body.landingTitle']);
+  });
+});
+
+describe('images', () => {
+  it('banner and logo routes require a file', async () => {
+    const banner = await api().patch('/settings/banner').set(auth('owner'));
+    assert.equal(banner.status, 400);
+    assert.deepEqual(fieldsOf(banner), ['files.landingBanner']);
+
+    const logo = await api().patch('/settings/logo').set(auth('owner'));
+    assert.equal(logo.status, 400);
+    assert.deepEqual(fieldsOf(logo), ['files.logo']);
+  });
+
+  it('replacing an unpublished image destroys it right away', async () => {
+    const first = await uploadBanner();
+    const second = await uploadBanner();
+    assert.notEqual(first, second);
+    assert.deepEqual(storage.destroyed, [first]);
+  });
+
+  it('a live image is destroyed only when its replacement is published', async () => {
+    const original = await uploadBanner();
+    await publish();
+
+    const replacement = await uploadBanner();
+    assert.deepEqual(storage.destroyed, []);
+    assert.equal((await live()).landingBannerPublicId, original);
+
+    await publish();
+    assert.deepEqual(storage.destroyed, [original]);
+    assert.equal((await live()).landingBannerPublicId, replacement);
+  });
+
+  it('logo uploads go to the draft', async () => {
+    const res = await api().patch('/settings/logo').set(auth('owner')).attach('logo', IMAGE, image('logo.png'));
+    assert.equal(res.status, 200);
+    assert.ok(res.body.settings.logo);
+    assert.equal((await live()).logo, '');
+  });
+});
+
+describe('discard', () => {
+  it('resets the draft to the live content and drops draft-only images', async () => {
+    await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 'Live' });
+    await publish();
+    await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 'Draft' });
+    const banner = await uploadBanner();
+
+    const res = await api().post('/settings/draft/discard').set(auth('owner'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.settings.landingTitle, 'Live');
+    assert.equal(res.body.settings.hasUnpublishedChanges, false);
+    assert.deepEqual(storage.destroyed, [banner]);
+  });
+});
+
+describe('scheduled publishing', () => {
+  it('rejects a time in the past', async () => {
+    const res = await api().put('/settings/schedule').set(auth('owner')).send({ publishAt: '2000-01-01T00:00:00Z' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(fieldsOf(res), ['body.publishAt']);
+  });
+
+  it('schedules and cancels a publish', async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const scheduled = await api().put('/settings/schedule').set(auth('owner')).send({ publishAt });
+    assert.equal(scheduled.status, 200);
+    assert.equal(scheduled.body.settings.scheduledPublishAt, publishAt);
+
+    assert.equal((await api().delete('/settings/schedule').set(auth('owner'))).status, 200);
+    assert.equal((await api().delete('/settings/schedule').set(auth('owner'))).status, 404);
+  });
+
+  it('publishes the draft once the time has come', async () => {
+    await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 'Campaign' });
+    await api().put('/settings/schedule').set(auth('owner')).send({ publishAt: new Date(Date.now() + 60 * 1000).toISOString() });
+
+    await publishScheduledSettings();
+    assert.equal((await live()).landingTitle, '');
+
+    await mongoose.model('SiteConfig').updateOne({}, { scheduledPublishAt: new Date(Date.now() - 1000) });
+    await publishScheduledSettings();
+    assert.equal((await live()).landingTitle, 'Campaign');
+    assert.equal((await preview()).scheduledPublishAt, null);
+  });
+});
+
+describe('history', () => {
+  it('lists revisions and restores one into the draft', async () => {
+    await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 'First' });
+    await api().patch('/settings/landing').set(auth('owner')).send({ landingTitle: 'Second' });
+
+    const history = await api().get('/settings/history').set(auth('owner'));
+    assert.equal(history.status, 200);
+    assert.equal(history.body.total, 2);
+    const first = history.body.entries.find(e => e.revision === 1);
+
+    const restored = await api().post(`/settings/history/${first.revision}/restore`).set(auth('owner'));
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.settings.landingTitle, 'First');
+    assert.equal((await live()).landingTitle, '');
+
+    assert.equal((await api().post('/settings/history/99/restore').set(auth('owner'))).status, 404);
+    assert.equal((await api().post('/settings/history/zero/restore').set(auth('owner'))).status, 400);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  api, auth, createProduct, fieldsOf,
+  startTestDatabase, stopTestDatabase, resetData,
+} from './helpers.js';
+
+before(startTestDatabase);
+after(stopTestDatabase);
+beforeEach(resetData);
+
+// Views are counted after the response has been sent
+const viewsOf = async (expected) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const res = await api().get('/stats/views').set(auth('editor'));
+    if (res.body.totalViews >= expected) return res.body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.fail(`expected ${expected} views`);
+};
+
+describe('GET /stats/catalog', () => {
+  it('requires a token', async () => {
+    assert.equal((await api().get('/stats/catalog')).status, 401);
+  });
+
+  it('counts statuses, content gaps, overdue arrivals and stock value', async () => {
+    await createProduct({ price: 10, description: 'Zigbee hub' });
+    await createProduct({ price: 30, status: 'on_the_way', expectedArrival: '2020-01-01' });
+    const stocked = await createProduct({ price: 20 });
+    await api().post(`/products/${stocked._id}/stock/movements`).set(auth('editor')).send({ type: 'received', quantity: 3 });
+
+    const res = await api().get('/stats/catalog').set(auth('editor'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.products, 3);
+    assert.equal(res.body.byStatus.available, 2);
+    assert.equal(res.body.byStatus.on_the_way, 1);
+    assert.equal(res.body.byStatus.discontinued, 0);
+    assert.equal(res.body.missingDescription, 2);
+    assert.equal(res.body.missingPhotos, 3);
+    assert.equal(res.body.overdueArrivals, 1);
+    assert.deepEqual(res.body.value, { averagePrice: 20, minPrice: 10, maxPrice: 30, trackedProducts: 1, units: 3, stockValue: 60 });
+  });
+});
+
+describe('GET /stats/content-gaps', () => {
+  it('lists products missing a description or photos', async () => {
+    await createProduct({ name: 'Complete', description: 'Has it all' }, { otherPhotos: 1 });
+    await createProduct({ name: 'Bare' });
+    await createProduct({ name: 'Described', description: 'No gallery' });
+
+    const all = await api().get('/stats/content-gaps').set(auth('editor'));
+    assert.equal(all.body.total, 2);
+    assert.deepEqual(all.body.products.find(p => p.name === 'Bare').missing, ['description', 'photos']);
+
+    const described = await api().get('/stats/content-gaps').query({ missing: 'description' }).set(auth('editor'));
+    assert.deepEqual(described.body.products.map(p => p.name), ['Bare']);
+  });
+});
+
+describe('GET /stats/views', () => {
+  it('ranks products by their views, cached answers included', async () => {
+    const popular = await createProduct({ name: 'Popular' });
+    const quiet = await createProduct({ name: 'Quiet' });
+
+    const first = await api().get(`/products/${popular._id}`);
+    await api().get(`/products/${popular._id}`).set('If-None-Match', first.headers.etag);
+    await api().get(`/products/${quiet._id}`);
+    await api().get(`/products/${quiet._id}`).set('User-Agent', 'Googlebot/2.1');
+
+    const stats = await viewsOf(3);
+    assert.equal(stats.totalViews, 3);
+    assert.equal(stats.viewedProducts, 2);
+    assert.deepEqual(stats.products.map(p => [p.product.name, p.views]), [['Popular', 2], ['Quiet', 1]]);
+  });
+
+  it('only counts the requested days', async () => {
+    const product = await createProduct();
+    await mongoose.model('ProductView').create({ product: product._id, day: new Date('2024-01-10'), views: 5 });
+
+    const res = await api().get('/stats/views').query({ from: '2024-01-01', to: '2024-01-31' }).set(auth('editor'));
+    assert.equal(res.body.totalViews, 5);
+    assert.equal((await api().get('/stats/views').set(auth('editor'))).body.totalViews, 0);
+
+    const reversed = await api().get('/stats/views').query({ from: '2024-02-01', to: '2024-01-01' }).set(auth('editor'));
+    assert.equal(reversed.status, 400);
+    assert.deepEqual(fieldsOf(reversed), ['query.from']);
+  });
+});
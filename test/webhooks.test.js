@@ -0,0 +1,160 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import mongoose from 'mongoose';
+import {
+  api, auth, createProduct, processDueDeliveries,
+  startTestDatabase, stopTestDatabase, resetData,
+} from './helpers.js';
+
+const SECRET = 'whsec_test-secret-0123456789';
+const MINUTE = 60 * 1000;
+
+// The receiving end: records every request and answers with `status`
+const receiver = { requests: [], status: 200 };
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    receiver.requests.push({ headers: req.headers, body });
+    res.writeHead(receiver.status).end();
+  });
+});
+
+before(async () => {
+  await startTestDatabase();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await stopTestDatabase();
+});
+beforeEach(async () => {
+  await resetData();
+  receiver.requests.length = 0;
+  receiver.status = 200;
+});
+
+const createWebhook = async (events = ['product.created']) => {
+  const res = await api().post('/webhooks').set(auth('owner')).send({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    events,
+    secret: SECRET,
+  });
+  assert.equal(res.status, 201);
+  return res.body.webhook;
+};
+
+// Events reach webhooks after the response, wait for the delivery's first attempt
+const attemptedDelivery = async (event) => {
+  const Delivery = mongoose.model('WebhookDelivery');
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const delivery = await Delivery.findOne({ event, 'attempts.0': { $exists: true } }).lean();
+    if (delivery) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`No ${event} delivery was attempted`);
+};
+
+describe('webhook delivery', () => {
+  it('signs the body with the webhook secret', async () => {
+    const webhook = await createWebhook();
+    const product = await createProduct({ name: 'Hub' });
+    const delivery = await attemptedDelivery('product.created');
+
+    assert.equal(receiver.requests.length, 1);
+    const [{ headers, body }] = receiver.requests;
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-webhook-event'], 'product.created');
+    assert.equal(headers['x-webhook-delivery'], String(delivery._id));
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.type, 'product.created');
+    assert.equal(payload.product._id, product._id);
+    assert.equal(String(delivery.webhook), webhook._id);
+  });
+
+  it('retries a failing receiver after 1, 5, 30, 120 and 720 minutes, then gives up', async () => {
+    receiver.status = 500;
+    await createWebhook();
+    await createProduct();
+    const Delivery = mongoose.model('WebhookDelivery');
+    let delivery = await attemptedDelivery('product.created');
+
+    for (const minutes of [1, 5, 30, 120, 720]) {
+      assert.equal(delivery.state, 'pending');
+      const wait = delivery.nextAttemptAt - delivery.attempts.at(-1).at;
+      assert.ok(wait >= minutes * MINUTE && wait < minutes * MINUTE + 5000, `expected a retry after ${minutes} minutes, got ${wait}ms`);
+
+      // Not sent before it is due
+      assert.equal(await processDueDeliveries(), 0);
+      await Delivery.updateOne({ _id: delivery._id }, { $set: { nextAttemptAt: new Date(Date.now() - 1000) } });
+      assert.equal(await processDueDeliveries(), 1);
+      delivery = await Delivery.findById(delivery._id).lean();
+    }
+
+    assert.equal(delivery.state, 'failed');
+    assert.equal(delivery.nextAttemptAt, undefined);
+    assert.equal(delivery.attempts.length, 6);
+    assert.equal(receiver.requests.length, 6);
+    // Every retry is the same delivery
+    assert.equal(new Set(receiver.requests.map(r => r.headers['x-webhook-delivery'])).size, 1);
+  });
+
+  it('stops retrying once the receiver accepts', async () => {
+    receiver.status = 503;
+    await createWebhook();
+    await createProduct();
+    const Delivery = mongoose.model('WebhookDelivery');
+    const { _id } = await attemptedDelivery('product.created');
+
+    receiver.status = 204;
+    await Delivery.updateOne({ _id }, { $set: { nextAttemptAt: new Date(Date.now() - 1000) } });
+    await processDueDeliveries();
+
+    const delivery = await Delivery.findById(_id).lean();
+    assert.equal(delivery.state, 'succeeded');
+    assert.deepEqual(delivery.attempts.map(a => a.responseStatus), [503, 204]);
+    assert.equal(await processDueDeliveries(), 0);
+  });
+});
+
+describe('GET /webhooks/:id/deliveries', () => {
+  it('lists every delivery with its attempts, newest first', async () => {
+    const webhook = await createWebhook(['product.created', 'product.deleted']);
+    const product = await createProduct();
+    await attemptedDelivery('product.created');
+    const ping = await api().post(`/webhooks/${webhook._id}/test`).set(auth('owner'));
+    assert.equal(ping.body.delivery.state, 'succeeded');
+
+    receiver.status = 410;
+    await api().delete(`/products/${product._id}`).set(auth('owner'));
+    await attemptedDelivery('product.deleted');
+
+    const res = await api().get(`/webhooks/${webhook._id}/deliveries`).set(auth('owner'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(res.body.deliveries.map(d => [d.event, d.state]), [
+      ['product.deleted', 'pending'],
+      ['ping', 'succeeded'],
+      ['product.created', 'succeeded'],
+    ]);
+    const [failing, , created] = res.body.deliveries;
+    assert.equal(failing.attempts[0].responseStatus, 410);
+    assert.equal(failing.attempts[0].error, 'Responded with HTTP 410');
+    assert.ok(failing.nextAttemptAt);
+    assert.equal(created.attempts[0].responseStatus, 200);
+    assert.equal(created.attempts[0].error, undefined);
+    assert.equal(typeof created.attempts[0].durationMs, 'number');
+    assert.equal(created.payload.product._id, product._id);
+
+    const pending = await api().get(`/webhooks/${webhook._id}/deliveries`).query({ state: 'pending' }).set(auth('owner'));
+    assert.deepEqual(pending.body.deliveries.map(d => d.event), ['product.deleted']);
+
+    const counts = await api().get(`/webhooks/${webhook._id}`).set(auth('owner'));
+    assert.deepEqual(counts.body.deliveries, { pending: 1, succeeded: 2, failed: 0 });
+  });
+});